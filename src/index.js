@@ -40,17 +40,23 @@ app.get('/health', (req, res) => {
 });
 
 // Import API routes with error handling
-let categoriesRoutes, clipsRoutes, adminRoutes, adminClipsRoutes, processVideoRoutes, testimoniesRoutes, userRoutes, searchRoutes;
+let categoriesRoutes, clipsRoutes, adminRoutes, adminClipsRoutes, adminTranscriptsRoutes, adminSearchRoutes, adminJobsRoutes, processVideoRoutes, testimoniesRoutes, userRoutes, searchRoutes, videoHlsRoutes, audioRoutes, thumbnailRoutes;
 
 try {
   categoriesRoutes = require('./routes/categories');
   clipsRoutes = require('./routes/clips');
   adminRoutes = require('./routes/admin');
   adminClipsRoutes = require('./routes/admin-clips');
+  adminTranscriptsRoutes = require('./routes/admin-transcripts');
+  adminSearchRoutes = require('./routes/admin-search');
+  adminJobsRoutes = require('./routes/admin-jobs');
   processVideoRoutes = require('./routes/process-video');
   testimoniesRoutes = require('./routes/testimonies');
   userRoutes = require('./routes/user');
   searchRoutes = require('./routes/search');
+  videoHlsRoutes = require('./routes/video-hls');
+  audioRoutes = require('./routes/audio');
+  thumbnailRoutes = require('./routes/thumbnail');
 } catch (error) {
   console.error('Error loading routes:', error);
   // Routes will be undefined, handled below
@@ -61,10 +67,16 @@ if (categoriesRoutes) app.use('/api/categories', categoriesRoutes);
 if (clipsRoutes) app.use('/api/clips', clipsRoutes);
 if (adminRoutes) app.use('/api/admin', adminRoutes);
 if (adminClipsRoutes) app.use('/api/admin/clips', adminClipsRoutes);
+if (adminTranscriptsRoutes) app.use('/api/admin/transcripts', adminTranscriptsRoutes);
+if (adminSearchRoutes) app.use('/api/admin/search', adminSearchRoutes);
+if (adminJobsRoutes) app.use('/api/admin/jobs', adminJobsRoutes);
 if (processVideoRoutes) app.use('/api/process-video', processVideoRoutes);
 if (testimoniesRoutes) app.use('/api/testimonies', testimoniesRoutes);
 if (userRoutes) app.use('/api/user', userRoutes);
 if (searchRoutes) app.use('/api/search', searchRoutes);
+if (videoHlsRoutes) app.use('/api/video-hls', videoHlsRoutes);
+if (audioRoutes) app.use('/api/audio', audioRoutes);
+if (thumbnailRoutes) app.use('/api/thumbnail', thumbnailRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -89,6 +101,21 @@ try {
     console.log(`✅ Server started successfully at ${new Date().toISOString()}`);
   });
 
+  // Let trending scores decay as activity ages out of the window
+  try {
+    require('./lib/clip-activity').startTrendingRefresh();
+  } catch (error) {
+    console.error('Error starting trending refresh:', error);
+  }
+
+  // Work through queued clip extractions and retry failed ones
+  try {
+    require('./lib/clip-jobs').startClipWorkers();
+    require('./lib/clip-jobs').startExtractionSweeper();
+  } catch (error) {
+    console.error('Error starting job workers:', error);
+  }
+
   server.on('error', (error) => {
     console.error('❌ Server error:', error);
     if (error.code === 'EADDRINUSE') {
@@ -0,0 +1,50 @@
+// Audio-only renditions of processed clips, for listeners saving data
+const ffmpeg = require('fluent-ffmpeg');
+const { parseTimemark } = require('./parse');
+
+// Mono speech at 64 kbps is about 0.5 MB per minute
+const AUDIO_BITRATE_KBPS = parseInt(process.env.AUDIO_BITRATE_KBPS || '', 10) || 64;
+
+// EBU R128 targets for spoken word: integrated loudness, true peak and
+// loudness range
+const LOUDNESS_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+/**
+ * Extract a clip's audio as a loudness-normalized mono MP3
+ * @param {string} inputPath - Trimmed clip
+ * @param {string} outputPath - MP3 to write
+ * @param {object} options
+ * @param {number} options.duration - Clip length in seconds, for progress
+ * @param {function(number): void} [options.onPercent] - Encoding progress, 0-100
+ * @returns {Promise<{bitrateKbps: number}>}
+ */
+function encodeAudio(inputPath, outputPath, { duration, onPercent = () => {} }) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .output(outputPath)
+      .noVideo()
+      .audioCodec('libmp3lame')
+      .audioBitrate(AUDIO_BITRATE_KBPS)
+      .audioChannels(1)
+      .audioFrequency(44100)
+      .audioFilters(LOUDNESS_FILTER)
+      .on('progress', (progress) => {
+        const seconds = parseTimemark(progress.timemark);
+        if (seconds !== null && duration > 0) {
+          onPercent((seconds / duration) * 100);
+        }
+      })
+      .on('end', () => resolve({ bitrateKbps: AUDIO_BITRATE_KBPS }))
+      .on('error', (error, stdout, stderr) => {
+        console.error('FFmpeg audio error:', error.message);
+        console.error('FFmpeg stderr:', stderr);
+        reject(new Error(`Audio encoding failed: ${error.message}`));
+      })
+      .run();
+  });
+}
+
+module.exports = {
+  AUDIO_BITRATE_KBPS,
+  encodeAudio
+};
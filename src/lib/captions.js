@@ -0,0 +1,185 @@
+// Caption files for clips, cut from the episode transcript and re-based to
+// the clip's own timeline
+const ffmpeg = require('fluent-ffmpeg');
+const { parseTimemark } = require('./parse');
+
+// Two lines of at most 42 characters each, the usual broadcast limit
+const CUE_LINE_CHARS = 42;
+const CUE_MAX_LINES = 2;
+
+// Transcript segments only carry a start; the last one in an episode, and
+// any sharing its start second with the next, are given this reading speed
+// (and at least a second) to estimate their end
+const CHARS_PER_SECOND = 15;
+
+// Cues cut shorter than this by the clip's edges cannot be read and are dropped
+const MIN_CUE_SECONDS = 0.5;
+
+/**
+ * Break text into lines of at most CUE_LINE_CHARS where possible
+ */
+function wrapLines(text) {
+  const lines = [];
+  let current = '';
+
+  for (const word of text.split(' ')) {
+    if (current && current.length + 1 + word.length > CUE_LINE_CHARS) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Split text into cue texts of at most CUE_MAX_LINES lines
+ */
+function splitCueText(text) {
+  const lines = wrapLines(text);
+  const cues = [];
+  for (let i = 0; i < lines.length; i += CUE_MAX_LINES) {
+    cues.push(lines.slice(i, i + CUE_MAX_LINES).join('\n'));
+  }
+  return cues;
+}
+
+/**
+ * Caption cues for a clip. Each transcript segment runs until the next one
+ * starts and is split into readable cues, timed by their share of its text;
+ * cues are then clipped to the clip's range and re-based so 0 is its start.
+ * @param {Array<{start: number, text: string}>} segments - Episode transcript, seconds
+ * @param {number} startTime - Clip start in the episode, seconds
+ * @param {number} endTime - Clip end in the episode, seconds
+ * @returns {Array<{start: number, end: number, text: string}>} Cues in clip seconds
+ */
+function buildClipCues(segments, startTime, endTime) {
+  const cues = [];
+
+  segments.forEach((segment, index) => {
+    const next = segments[index + 1];
+    const segmentEnd = next && next.start > segment.start
+      ? next.start
+      : segment.start + Math.max(1, segment.text.length / CHARS_PER_SECOND);
+    if (segmentEnd <= startTime || segment.start >= endTime) return;
+
+    const chunks = splitCueText(segment.text);
+    const totalChars = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    let chunkStart = segment.start;
+
+    for (const chunk of chunks) {
+      const chunkEnd = chunkStart + ((segmentEnd - segment.start) * chunk.length) / totalChars;
+      const start = Math.max(chunkStart, startTime);
+      const end = Math.min(chunkEnd, endTime);
+
+      const clipped = chunkStart < startTime || chunkEnd > endTime;
+      if (end > start && (!clipped || end - start >= MIN_CUE_SECONDS)) {
+        cues.push({
+          start: Math.round((start - startTime) * 1000) / 1000,
+          end: Math.round((end - startTime) * 1000) / 1000,
+          text: chunk
+        });
+      }
+      chunkStart = chunkEnd;
+    }
+  });
+
+  return cues;
+}
+
+/**
+ * Format seconds as HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+ */
+function formatCueTime(seconds, separator) {
+  const millis = Math.round(seconds * 1000);
+  const hours = Math.floor(millis / 3600000);
+  const minutes = Math.floor((millis % 3600000) / 60000);
+  const secs = Math.floor((millis % 60000) / 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(millis % 1000, 3)}`;
+}
+
+/**
+ * Escape cue text for WebVTT, where & and < start markup. Escaping > as well
+ * keeps a spoken "-->" from reading as a timing line.
+ */
+function escapeVttText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * SRT has no escapes, so an arrow in cue text is shortened instead
+ */
+function escapeSrtText(text) {
+  return text.replace(/-->/g, '->');
+}
+
+/**
+ * Serialize cues as a WebVTT file
+ */
+function toWebVTT(cues) {
+  const blocks = cues.map(cue =>
+    `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${escapeVttText(cue.text)}`
+  );
+  return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Serialize cues as an SRT file
+ */
+function toSRT(cues) {
+  const blocks = cues.map((cue, index) =>
+    `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${escapeSrtText(cue.text)}`
+  );
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Render a copy of a clip with the captions drawn onto the picture, for
+ * sharing where players do not show sidecar captions
+ * @param {string} inputPath - Trimmed clip
+ * @param {string} subtitlesPath - SRT file for the clip
+ * @param {string} outputPath - MP4 to write
+ * @param {object} options
+ * @param {number} options.duration - Clip length in seconds, for progress
+ * @param {function(number): void} [options.onPercent] - Encoding progress, 0-100
+ */
+function burnInCaptions(inputPath, subtitlesPath, outputPath, { duration, onPercent = () => {} }) {
+  // The subtitles filter takes its own escaping for the path
+  const escapedPath = subtitlesPath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .output(outputPath)
+      .videoCodec('libx264')
+      .audioCodec('copy')
+      .outputOptions([
+        '-vf', `subtitles='${escapedPath}':force_style='FontName=Arial,FontSize=20,Outline=2,Shadow=0,MarginV=24'`,
+        '-preset', 'fast',
+        '-crf', '22',
+        '-movflags', '+faststart'
+      ])
+      .on('progress', (progress) => {
+        const seconds = parseTimemark(progress.timemark);
+        if (seconds !== null && duration > 0) {
+          onPercent((seconds / duration) * 100);
+        }
+      })
+      .on('end', () => resolve())
+      .on('error', (error, stdout, stderr) => {
+        console.error('FFmpeg captions error:', error.message);
+        console.error('FFmpeg stderr:', stderr);
+        reject(new Error(`Burning in captions failed: ${error.message}`));
+      })
+      .run();
+  });
+}
+
+module.exports = {
+  buildClipCues,
+  toWebVTT,
+  toSRT,
+  burnInCaptions
+};
@@ -0,0 +1,217 @@
+// Save and play counters for clips, and the rolling-window trending score
+const { adminDb: db } = require('./firebase-admin');
+const { isPublicClip } = require('./clip-model');
+
+const ACTIVITY_TYPES = ['save', 'unsave', 'play'];
+
+// Days of activity that count towards a clip's trending score
+const TRENDING_WINDOW_DAYS = parseInt(process.env.TRENDING_WINDOW_DAYS || '', 10) || 7;
+
+// A save says more about a clip than a play
+const TRENDING_WEIGHTS = { saves: 3, plays: 1 };
+
+const REFRESH_INTERVAL_MS = parseInt(process.env.TRENDING_REFRESH_MS || '', 10) || 60 * 60 * 1000;
+
+// Further plays of a clip by the same member within this window do not count
+const PLAY_COOLDOWN_MS = (parseInt(process.env.PLAY_COOLDOWN_MINUTES || '', 10) || 30) * 60 * 1000;
+
+/**
+ * UTC day key (YYYY-MM-DD) for a timestamp
+ */
+function getDayKey(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Drop daily buckets that have fallen out of the trending window
+ */
+function pruneActivityDays(days = {}, now = Date.now()) {
+  const oldestKey = getDayKey(now - (TRENDING_WINDOW_DAYS - 1) * 24 * 60 * 60 * 1000);
+  const pruned = {};
+  for (const [day, counts] of Object.entries(days)) {
+    if (day >= oldestKey) pruned[day] = counts;
+  }
+  return pruned;
+}
+
+/**
+ * Weighted saves and plays across the daily buckets in the window
+ */
+function computeTrendingScore(days = {}, now = Date.now()) {
+  let score = 0;
+  for (const counts of Object.values(pruneActivityDays(days, now))) {
+    score += (counts.saves || 0) * TRENDING_WEIGHTS.saves + (counts.plays || 0) * TRENDING_WEIGHTS.plays;
+  }
+  return score;
+}
+
+/**
+ * Record a member's save, unsave or play of a clip. Updates the clip's
+ * savedCount, playCount and trendingScore together with its daily activity
+ * buckets (stored in clipActivity/{clipId}) in one transaction.
+ *
+ * Each member counts once: what has been counted for them is kept in
+ * clipActivity/{clipId}/members/{uid}. A save only counts while the clip is in
+ * the member's userSaves and an unsave only once it has left them; a play only
+ * counts once per PLAY_COOLDOWN_MS.
+ * @param {string} clipId
+ * @param {string} type - One of ACTIVITY_TYPES
+ * @param {string} uid - Verified member ID
+ * @returns {Promise<{savedCount: number, playCount: number, trendingScore: number, counted: boolean}>}
+ */
+async function recordClipActivity(clipId, type, uid) {
+  if (!db) {
+    throw new Error('Database not initialized');
+  }
+
+  if (!ACTIVITY_TYPES.includes(type)) {
+    throw new Error(`Invalid activity type: ${type}. Expected one of: ${ACTIVITY_TYPES.join(', ')}`);
+  }
+
+  if (!uid) {
+    throw new Error('Unauthorized: Missing member');
+  }
+
+  const clipRef = db.collection('clips').doc(clipId);
+  const activityRef = db.collection('clipActivity').doc(clipId);
+  const memberRef = activityRef.collection('members').doc(uid);
+  const userSaveRef = db.collection('userSaves').doc(uid).collection('clips').doc(clipId);
+
+  return db.runTransaction(async (transaction) => {
+    const [clipDoc, activityDoc, memberDoc, userSaveDoc] = await Promise.all([
+      transaction.get(clipRef),
+      transaction.get(activityRef),
+      transaction.get(memberRef),
+      transaction.get(userSaveRef)
+    ]);
+
+    if (!clipDoc.exists || !isPublicClip(clipDoc.data())) {
+      throw new Error('Clip not found');
+    }
+
+    const clip = clipDoc.data();
+    const member = memberDoc.exists ? memberDoc.data() : {};
+    const now = Date.now();
+    const today = getDayKey(now);
+    const days = pruneActivityDays(activityDoc.exists ? activityDoc.data().days : {}, now);
+    const counts = { saves: 0, plays: 0, ...days[today] };
+
+    let savedCount = clip.savedCount || 0;
+    let playCount = clip.playCount || 0;
+    let counted = false;
+    const memberUpdates = {};
+
+    if (type === 'save') {
+      if (userSaveDoc.exists && !member.saved) {
+        savedCount++;
+        counts.saves++;
+        Object.assign(memberUpdates, { saved: true, savedDay: today });
+        counted = true;
+      }
+    } else if (type === 'unsave') {
+      if (!userSaveDoc.exists && member.saved) {
+        savedCount = Math.max(0, savedCount - 1);
+        // Only take back the trending credit if the save is still in its day's bucket
+        if (member.savedDay && days[member.savedDay]) {
+          days[member.savedDay] = {
+            ...days[member.savedDay],
+            saves: Math.max(0, (days[member.savedDay].saves || 0) - 1)
+          };
+        }
+        Object.assign(memberUpdates, { saved: false, savedDay: null });
+        counted = true;
+      }
+    } else if (!member.lastPlayAt || now - member.lastPlayAt >= PLAY_COOLDOWN_MS) {
+      playCount++;
+      counts.plays++;
+      memberUpdates.lastPlayAt = now;
+      counted = true;
+    }
+
+    if (!counted) {
+      return { savedCount, playCount, trendingScore: clip.trendingScore || 0, counted };
+    }
+
+    if (type !== 'unsave') {
+      days[today] = counts;
+    }
+    const trendingScore = computeTrendingScore(days, now);
+
+    transaction.set(activityRef, { clipId, days, updatedAt: new Date(now).toISOString() });
+    transaction.set(memberRef, memberUpdates, { merge: true });
+    transaction.update(clipRef, { savedCount, playCount, trendingScore });
+
+    return { savedCount, playCount, trendingScore, counted };
+  });
+}
+
+/**
+ * Recompute trending scores for clips that currently have one, so activity
+ * that has aged out of the window stops counting
+ * @returns {Promise<{scanned: number, updated: number}>}
+ */
+async function refreshTrendingScores() {
+  if (!db) {
+    throw new Error('Database not initialized');
+  }
+
+  const snapshot = await db.collection('clips').where('trendingScore', '>', 0).get();
+  const BATCH_LIMIT = 400;
+  const now = Date.now();
+  let batch = db.batch();
+  let pending = 0;
+  let updated = 0;
+
+  for (const doc of snapshot.docs) {
+    const activityDoc = await db.collection('clipActivity').doc(doc.id).get();
+    const trendingScore = computeTrendingScore(activityDoc.exists ? activityDoc.data().days : {}, now);
+
+    if (trendingScore === doc.get('trendingScore')) continue;
+
+    batch.update(doc.ref, { trendingScore });
+    pending++;
+    updated++;
+
+    if (pending === BATCH_LIMIT) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0) {
+    await batch.commit();
+  }
+
+  return { scanned: snapshot.size, updated };
+}
+
+/**
+ * Refresh trending scores on a timer for the lifetime of the process
+ */
+function startTrendingRefresh() {
+  if (!db) return null;
+
+  const timer = setInterval(() => {
+    refreshTrendingScores()
+      .then(({ scanned, updated }) => {
+        console.log(`[Trending] Refreshed ${updated} of ${scanned} trending scores`);
+      })
+      .catch(error => {
+        console.error('[Trending] Refresh failed:', error.message);
+      });
+  }, REFRESH_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  TRENDING_WINDOW_DAYS,
+  getDayKey,
+  computeTrendingScore,
+  recordClipActivity,
+  refreshTrendingScores,
+  startTrendingRefresh
+};
@@ -0,0 +1,16 @@
+// Single place to drop every in-process index derived from the clips collection
+const { invalidateSearchIndex } = require('./search-index');
+const { invalidateTranscriptIndex } = require('./transcript-search');
+const { invalidateSemanticIndex } = require('./semantic-index');
+
+/**
+ * Call after creating, updating or deleting clips so search, suggestions,
+ * transcript hits and similar-clip results reflect the change immediately
+ */
+function invalidateClipIndexes() {
+  invalidateSearchIndex();
+  invalidateTranscriptIndex();
+  invalidateSemanticIndex();
+}
+
+module.exports = { invalidateClipIndexes };
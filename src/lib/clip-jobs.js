@@ -0,0 +1,455 @@
+// Background clip extraction jobs: cut clips' ranges out of their YouTube
+// video and attach the uploaded files to the clips
+const { adminDb: db } = require('./firebase-admin');
+const { getJobQueue } = require('./job-queue');
+const { processVideoSegmentsAndUpload, deleteFromFirebaseStorage, deleteClipFromFirebaseStorage, extractVideoId } = require('./video-processor');
+const { getTranscript, saveTranscript } = require('./transcript-store');
+const { fetchCaptionSegments } = require('./youtube-captions');
+const { buildClipCues } = require('./captions');
+const { invalidateClipIndexes } = require('./clip-indexes');
+const { getClipTimeRange } = require('./clip-model');
+
+const EXTRACT_CLIP_JOB = 'extractClip';
+
+// yt-dlp and ffmpeg failures are often transient (rate limits, network)
+const EXTRACT_MAX_ATTEMPTS = parseInt(process.env.EXTRACT_MAX_ATTEMPTS || '', 10) || 3;
+const EXTRACT_BACKOFF_MS = 60 * 1000;
+
+// Clip fields an extraction writes, reset whenever a clip needs a new one
+const EXTRACTION_FIELDS = {
+  processedClipUrl: '',
+  hls: null,
+  audio: null,
+  thumbUrl: null,
+  thumbLowUrl: null,
+  captions: null,
+  verticalUrl: null,
+  videoProcessingError: null
+};
+
+// Open-captioned copies cost a full extra encode per clip, so they are opt-in
+const BURN_IN_CAPTIONS = process.env.BURN_IN_CAPTIONS === 'true';
+
+// The 1080x1920 social cut is another full encode per clip, so it is opt-in too
+const VERTICAL_RENDITIONS = process.env.VERTICAL_RENDITIONS === 'true';
+
+// Attempts kept in a clip's extractionHistory
+const EXTRACTION_HISTORY_LIMIT = 20;
+
+// The sweeper re-queues failed clips with growing gaps (doubling from
+// EXTRACT_SWEEP_BACKOFF_MS per attempt so far, at most a day) until a clip has
+// used EXTRACT_RETRY_LIMIT attempts in total
+const EXTRACT_RETRY_LIMIT = parseInt(process.env.EXTRACT_RETRY_LIMIT || '', 10) || 12;
+const EXTRACT_SWEEP_BACKOFF_MS = 15 * 60 * 1000;
+const MAX_SWEEP_BACKOFF_MS = 24 * 60 * 60 * 1000;
+const EXTRACT_SWEEP_INTERVAL_MS = parseInt(process.env.EXTRACT_SWEEP_MS || '', 10) || 15 * 60 * 1000;
+
+let registered = false;
+
+/**
+ * The job queue with the clip job handlers registered
+ */
+function getClipJobQueue() {
+  const queue = getJobQueue();
+  if (!registered) {
+    queue.register(EXTRACT_CLIP_JOB, runClipExtraction, {
+      maxAttempts: EXTRACT_MAX_ATTEMPTS,
+      backoffMs: EXTRACT_BACKOFF_MS
+    });
+    registered = true;
+  }
+  return queue;
+}
+
+/**
+ * Clips a job extracts. Jobs cut every clip from one source video; jobs
+ * queued before multi-clip support carried a single clip in the payload.
+ * @returns {Array<{clipId: string, startTimeSeconds: number, endTimeSeconds: number}>}
+ */
+function getJobClips(payload) {
+  if (Array.isArray(payload.clips)) return payload.clips;
+  const { clipId, startTimeSeconds, endTimeSeconds } = payload;
+  return [{ clipId, startTimeSeconds, endTimeSeconds }];
+}
+
+/**
+ * A job only applies to a clip while it still has the range it was queued
+ * for; an edit in the meantime queues its own job
+ */
+function isCurrentRange(clipDoc, { startTimeSeconds, endTimeSeconds }) {
+  if (!clipDoc.exists) return false;
+  const range = getClipTimeRange(clipDoc.data());
+  return range.startTimeSeconds === startTimeSeconds && range.endTimeSeconds === endTimeSeconds;
+}
+
+/**
+ * Record one extraction attempt on the clip: its outcome is appended to
+ * extractionHistory and counted in extractionAttempts. A success, or the last
+ * failure of a job, is also stored as the clip's processedClipUrl, renditions
+ * and videoProcessingError; clips waiting in "processing" go live either way
+ * (without a file they play from YouTube). A failed re-extraction of a clip
+ * that already has a file only records the error and keeps the old file, which
+ * is deleted only once a new one replaces it.
+ * @returns {Promise<boolean>} false if the clip was deleted or edited meanwhile
+ */
+async function recordExtractionAttempt(job, clip, { processedClipUrl = '', renditions = {}, error = null }) {
+  const clipRef = db.collection('clips').doc(clip.clipId);
+  const final = !error || job.attempts >= job.maxAttempts;
+
+  const previousClip = await db.runTransaction(async (transaction) => {
+    const clipDoc = await transaction.get(clipRef);
+    if (!isCurrentRange(clipDoc, clip)) return null;
+
+    const now = new Date().toISOString();
+    const history = clipDoc.get('extractionHistory') || [];
+    const updates = {
+      extractionAttempts: (clipDoc.get('extractionAttempts') || 0) + 1,
+      extractionHistory: [...history, {
+        jobId: job.id,
+        attempt: job.attempts,
+        at: now,
+        succeeded: !error,
+        error
+      }].slice(-EXTRACTION_HISTORY_LIMIT),
+      lastExtractionAt: now
+    };
+
+    const existingClipUrl = clipDoc.get('processedClipUrl') || '';
+    if (final && error && existingClipUrl) {
+      Object.assign(updates, {
+        videoProcessingError: error,
+        extractionJobId: job.id,
+        updatedAt: now
+      });
+    } else if (final) {
+      Object.assign(updates, EXTRACTION_FIELDS, renditions, {
+        processedClipUrl,
+        videoProcessingError: error,
+        extractionJobId: job.id,
+        updatedAt: now
+      });
+    }
+    if (final && clipDoc.get('status') === 'processing') {
+      updates.status = 'live';
+    }
+
+    transaction.update(clipRef, updates);
+    return clipDoc.data();
+  });
+
+  if (previousClip === null) return false;
+
+  // The replaced extraction's mp4 and every rendition it had
+  if (!error && previousClip.processedClipUrl !== processedClipUrl) {
+    try {
+      await deleteClipFromFirebaseStorage(previousClip);
+    } catch (storageError) {
+      console.warn(`⚠️ Failed to delete old clip file: ${storageError.message}`);
+    }
+  }
+
+  if (final) invalidateClipIndexes();
+  return true;
+}
+
+/**
+ * Transcript of a job's source video, for captions. A video with none stored
+ * yet (clips created by hand or imported from a sheet) has its YouTube
+ * captions fetched and stored, which also makes it searchable by transcript.
+ * Clips without one are still extracted, just without captions.
+ * @returns {Promise<object|null>}
+ */
+async function loadSourceTranscript(youtubeUrl) {
+  const videoId = extractVideoId(youtubeUrl);
+  if (!videoId) return null;
+
+  try {
+    const stored = await getTranscript(videoId);
+    if (stored) return stored;
+
+    const captions = await fetchCaptionSegments(videoId);
+    if (!captions) {
+      console.log(`📝 No YouTube captions for ${videoId}, extracting without captions`);
+      return null;
+    }
+
+    await saveTranscript(videoId, captions.segments, { language: captions.language, source: 'captions' });
+    return { segments: captions.segments, language: captions.language };
+  } catch (error) {
+    console.warn(`⚠️ Could not load transcript for ${videoId}, extracting without captions:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Job handler for extractClip: downloads the source video once and cuts every
+ * clip from it. Failed clips make the job fail so it is retried; clips an
+ * earlier attempt already extracted are not cut again.
+ * payload: { youtubeUrl, clips: [{ clipId, startTimeSeconds, endTimeSeconds }] }
+ */
+async function runClipExtraction(job, { progress }) {
+  if (!db) {
+    throw new Error('Database not initialized');
+  }
+
+  const { youtubeUrl } = job.payload;
+  const results = [];
+  const pendingClips = [];
+
+  for (const clip of getJobClips(job.payload)) {
+    const clipDoc = await db.collection('clips').doc(clip.clipId).get();
+    if (!isCurrentRange(clipDoc, clip)) {
+      results.push({ clipId: clip.clipId, skipped: true, reason: 'Clip was deleted or its time range changed' });
+    } else if (clipDoc.get('extractionJobId') === job.id && clipDoc.get('processedClipUrl')) {
+      results.push({ clipId: clip.clipId, processedClipUrl: clipDoc.get('processedClipUrl') });
+    } else {
+      pendingClips.push({ ...clip, title: clipDoc.get('title'), focusX: clipDoc.get('verticalFocusX') });
+    }
+  }
+
+  if (pendingClips.length === 0) {
+    return { clips: results };
+  }
+
+  // Download, trim and upload progress is reported as it happens; a failed
+  // progress write must not fail the extraction
+  const onProgress = ({ segment, segments, ...fields }) => {
+    if (segment) {
+      Object.assign(fields, { clipId: pendingClips[segment - 1].clipId, clip: segment, clips: segments });
+    }
+    progress(fields).catch(error => console.warn(`Failed to record progress of job ${job.id}:`, error.message));
+  };
+
+  const transcript = await loadSourceTranscript(youtubeUrl);
+
+  let segments;
+  try {
+    console.log(`🎬 Extracting ${pendingClips.length} clip(s) from ${youtubeUrl}`);
+    segments = await processVideoSegmentsAndUpload(
+      youtubeUrl,
+      pendingClips.map(clip => ({
+        startTime: clip.startTimeSeconds,
+        endTime: clip.endTimeSeconds,
+        cues: transcript ? buildClipCues(transcript.segments || [], clip.startTimeSeconds, clip.endTimeSeconds) : [],
+        title: clip.title,
+        focusX: clip.focusX
+      })),
+      {
+        onProgress,
+        hls: true,
+        audio: true,
+        thumbnails: true,
+        captions: true,
+        burnCaptions: BURN_IN_CAPTIONS,
+        vertical: VERTICAL_RENDITIONS
+      }
+    );
+  } catch (downloadError) {
+    // Without the source video every clip has failed
+    segments = pendingClips.map(() => ({ error: downloadError }));
+  }
+
+  await progress({ stage: 'saving', percent: null });
+
+  const failures = [];
+  for (const [index, clip] of pendingClips.entries()) {
+    const { publicUrl, hls = null, audio = null, thumbnail = null, captions = null, vertical = null, error } = segments[index];
+
+    if (error) {
+      const message = error.message || 'Unknown extraction error';
+      console.warn(`⚠️ Video extraction failed for clip ${clip.clipId}: ${message}`);
+      await recordExtractionAttempt(job, clip, { error: message });
+      failures.push(error);
+      results.push({ clipId: clip.clipId, error: message });
+      continue;
+    }
+
+    const saved = await recordExtractionAttempt(job, clip, {
+      processedClipUrl: publicUrl,
+      renditions: {
+        hls,
+        audio,
+        thumbUrl: thumbnail?.url || null,
+        thumbLowUrl: thumbnail?.lowUrl || null,
+        captions: captions && { ...captions, language: transcript.language || 'English' },
+        verticalUrl: vertical?.url || null
+      }
+    });
+    if (saved) {
+      console.log(`✅ Video extracted successfully: ${publicUrl}`);
+      results.push({ clipId: clip.clipId, processedClipUrl: publicUrl });
+    } else {
+      await deleteFromFirebaseStorage(publicUrl).catch(() => {});
+      results.push({ clipId: clip.clipId, skipped: true, reason: 'Clip was deleted or its time range changed' });
+    }
+  }
+
+  if (failures.length === 1 && pendingClips.length === 1) {
+    throw failures[0];
+  }
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} of ${pendingClips.length} clips failed: ${failures[0].message}`);
+  }
+
+  return { clips: results };
+}
+
+/**
+ * Queue extraction of clips' current time ranges, all cut from one video
+ * @param {{youtubeUrl: string, clips: Array<{clipId: string, startTimeSeconds: number, endTimeSeconds: number}>}} payload
+ * @returns {Promise<string>} Job ID
+ */
+async function enqueueClipExtraction(payload) {
+  return getClipJobQueue().enqueue(EXTRACT_CLIP_JOB, payload);
+}
+
+/**
+ * Queue new extractions of clip documents' current ranges, one job per source
+ * video. Previous errors are cleared so the clips no longer count as failed
+ * while they wait.
+ * @returns {Promise<Array<{id: string, success: boolean, jobId?: string, error?: string}>>}
+ */
+async function requeueClipExtractions(clipDocs) {
+  const results = [];
+  const clipsByVideo = new Map();
+
+  for (const doc of clipDocs) {
+    const clip = doc.data();
+    const videoId = clip.sourceVideoId || clip.videoId || clip.video_id;
+    if (!videoId) {
+      results.push({ id: doc.id, success: false, error: 'Clip has no source video' });
+      continue;
+    }
+    if (!clipsByVideo.has(videoId)) clipsByVideo.set(videoId, []);
+    clipsByVideo.get(videoId).push(doc);
+  }
+
+  for (const [videoId, docs] of clipsByVideo) {
+    try {
+      await Promise.all(docs.map(doc => doc.ref.update({ videoProcessingError: null })));
+      const jobId = await enqueueClipExtraction({
+        youtubeUrl: `https://www.youtube.com/watch?v=${videoId}`,
+        // Legacy clips only have startSec / endSec
+        clips: docs.map(doc => ({ clipId: doc.id, ...getClipTimeRange(doc.data()) }))
+      });
+      results.push(...docs.map(doc => ({ id: doc.id, success: true, jobId })));
+    } catch (error) {
+      // The errors were cleared above; put one back so the clips are retried
+      await recordQueueFailure(docs.map(doc => doc.id), error);
+      results.push(...docs.map(doc => ({ id: doc.id, success: false, error: error.message || 'Failed to queue extraction' })));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Record on saved clips that their extraction job could not be queued. They
+ * then count as failed, so the sweeper queues them again later instead of
+ * leaving them processing with no job behind them.
+ * @param {string[]} clipIds
+ * @param {Error} error - The enqueue failure
+ */
+async function recordQueueFailure(clipIds, error) {
+  const videoProcessingError = `Could not queue extraction: ${error.message || 'unknown error'}`;
+  const now = new Date().toISOString();
+
+  await Promise.all(clipIds.map(clipId =>
+    db.collection('clips').doc(clipId)
+      .update({ videoProcessingError, lastExtractionAt: now, updatedAt: now })
+      .catch(updateError => console.error(`Failed to record queue failure on clip ${clipId}:`, updateError.message))
+  ));
+}
+
+/**
+ * Clips whose last extraction failed, i.e. that have an error recorded. This
+ * includes failed re-extractions of clips that kept their previous file.
+ */
+async function findFailedClips() {
+  if (!db) {
+    throw new Error('Database not initialized');
+  }
+
+  const snapshot = await db.collection('clips').where('videoProcessingError', '!=', null).get();
+  return snapshot.docs.filter(doc => doc.get('videoProcessingError'));
+}
+
+/**
+ * Re-queue failed clips whose backoff has passed and that have attempts left
+ * @returns {Promise<{failed: number, queued: number, waiting: number, exhausted: number}>}
+ */
+async function retryFailedExtractions() {
+  const failedClips = await findFailedClips();
+  const now = Date.now();
+  const summary = { failed: failedClips.length, queued: 0, waiting: 0, exhausted: 0 };
+  const dueClips = [];
+
+  for (const doc of failedClips) {
+    const attempts = doc.get('extractionAttempts') || 0;
+    if (attempts >= EXTRACT_RETRY_LIMIT) {
+      summary.exhausted++;
+      continue;
+    }
+
+    const lastAttemptAt = Date.parse(doc.get('lastExtractionAt') || '') || 0;
+    const backoff = Math.min(EXTRACT_SWEEP_BACKOFF_MS * Math.pow(2, Math.max(0, attempts - 1)), MAX_SWEEP_BACKOFF_MS);
+    if (now < lastAttemptAt + backoff) {
+      summary.waiting++;
+      continue;
+    }
+
+    dueClips.push(doc);
+  }
+
+  for (const result of await requeueClipExtractions(dueClips)) {
+    if (result.success) {
+      summary.queued++;
+    } else {
+      console.error(`[Extraction Sweeper] Failed to queue clip ${result.id}:`, result.error);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Retry failed extractions on a timer for the lifetime of the process
+ */
+function startExtractionSweeper() {
+  if (!db) return null;
+
+  const timer = setInterval(() => {
+    retryFailedExtractions()
+      .then(({ failed, queued, exhausted }) => {
+        if (failed > 0) {
+          console.log(`[Extraction Sweeper] Re-queued ${queued} of ${failed} failed clips (${exhausted} out of attempts)`);
+        }
+      })
+      .catch(error => {
+        console.error('[Extraction Sweeper] Sweep failed:', error.message);
+      });
+  }, EXTRACT_SWEEP_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Start processing clip jobs in this process
+ */
+function startClipWorkers() {
+  getClipJobQueue().start();
+}
+
+module.exports = {
+  EXTRACT_CLIP_JOB,
+  EXTRACTION_FIELDS,
+  getClipJobQueue,
+  enqueueClipExtraction,
+  requeueClipExtractions,
+  recordQueueFailure,
+  findFailedClips,
+  retryFailedExtractions,
+  startClipWorkers,
+  startExtractionSweeper
+};
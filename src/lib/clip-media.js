@@ -0,0 +1,72 @@
+// Resolve the clip behind the media URLs built by media.ts, which identify a
+// clip by its ID, or by its YouTube video ID and time range
+const { adminDb: db } = require('./firebase-admin');
+const { isPublicClip } = require('./clip-model');
+
+// Requested start/end may be rounded by the player
+const RANGE_TOLERANCE_SECONDS = 1;
+
+function matchesTime(value, requested) {
+  return requested === undefined || Math.abs((value ?? 0) - requested) <= RANGE_TOLERANCE_SECONDS;
+}
+
+/**
+ * Parse the optional start/end query parameters
+ * @throws {Error} If either is not a non-negative number
+ */
+function parseMediaRange(query) {
+  const range = {};
+  for (const key of ['start', 'end']) {
+    if (query[key] === undefined || query[key] === '') continue;
+
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid ${key}: must be a non-negative number of seconds`);
+    }
+    range[key] = value;
+  }
+  return range;
+}
+
+/**
+ * Find the live clip a media URL refers to. The ID may be a clip ID, which
+ * is tried first, or a YouTube video ID; for a video ID the clip is picked by
+ * start/end.
+ * @param {string} id - Clip ID or YouTube video ID
+ * @param {{start?: number, end?: number}} [range] - Seconds
+ * @returns {Promise<object|null>} Clip data with its id, or null if no live
+ *   clip matches
+ * @throws {Error} "Ambiguous clip" if several live clips of the video match
+ */
+async function findMediaClip(id, { start, end } = {}) {
+  if (!db) {
+    throw new Error('Database not initialized');
+  }
+
+  const clipDoc = await db.collection('clips').doc(id).get();
+  if (clipDoc.exists && isPublicClip(clipDoc.data())) {
+    return { id: clipDoc.id, ...clipDoc.data() };
+  }
+
+  // Older clips store the video ID under videoId
+  let snapshot = await db.collection('clips').where('sourceVideoId', '==', id).get();
+  if (snapshot.empty) {
+    snapshot = await db.collection('clips').where('videoId', '==', id).get();
+  }
+
+  const matches = snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(clip => isPublicClip(clip) &&
+      matchesTime(clip.startTimeSeconds, start) &&
+      matchesTime(clip.endTimeSeconds, end));
+
+  if (matches.length > 1) {
+    throw new Error(`Ambiguous clip: ${matches.length} clips of video ${id} match; pass start and end, or the clip ID`);
+  }
+  return matches[0] || null;
+}
+
+module.exports = {
+  parseMediaRange,
+  findMediaClip
+};
@@ -0,0 +1,195 @@
+// Normalization helpers for clip documents stored in Firestore
+
+// Clip lifecycle (mirrors the status union in types.ts). Only live clips are
+// shown to members.
+const CLIP_STATUSES = ['submitted', 'processing', 'reviewing', 'live', 'hidden'];
+const PUBLIC_CLIP_STATUS = 'live';
+
+// Version of the fields deriveClipIndexFields writes. Bump it whenever a
+// field is added there, so listings fall back to filtering in memory until
+// POST /api/admin/clips/backfill has brought every clip up to date.
+const CLIP_INDEX_VERSION = 1;
+
+// Bookkeeping fields kept on clip documents for the extraction jobs and the
+// backfill, left out of public responses
+const INTERNAL_CLIP_FIELDS = ['extractionHistory', 'extractionJobId', 'extractionAttempts', 'lastExtractionAt', 'indexVersion'];
+
+// Status values written by older code paths
+const LEGACY_CLIP_STATUSES = {
+  published: 'live'
+};
+
+/**
+ * Convert a Firestore Timestamp, Date or date string to an ISO string.
+ * Some import paths stored createdAt as an ISO string rather than a Timestamp.
+ */
+function timestampToISO(timestamp) {
+  if (!timestamp) {
+    return undefined;
+  }
+  if (typeof timestamp.toDate === 'function') {
+    return timestamp.toDate().toISOString();
+  }
+  if (timestamp instanceof Date || typeof timestamp === 'string' || typeof timestamp === 'number') {
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+  }
+  return undefined;
+}
+
+/**
+ * Extract the numeric part of an episode label like "EP001" or "1034"
+ */
+function getEpisodeNumber(episode) {
+  const match = String(episode || '').match(/\d+/);
+  return match ? parseInt(match[0], 10) : 0;
+}
+
+/**
+ * Get the YouTube video ID from the various field names used over time
+ */
+function getClipVideoId(data) {
+  return data.sourceVideoId || data.videoId || data.video_id || '';
+}
+
+/**
+ * A clip's time range in seconds; older imports stored it as startSec / endSec
+ * @returns {{startTimeSeconds: number, endTimeSeconds: number}}
+ */
+function getClipTimeRange(data) {
+  return {
+    startTimeSeconds: Number(data.startTimeSeconds ?? data.startSec) || 0,
+    endTimeSeconds: Number(data.endTimeSeconds ?? data.endSec) || 0
+  };
+}
+
+/**
+ * Map the language codes and names written by the various import paths
+ * ("en", "English", "tw", "Twi") onto display names
+ */
+function normalizeLanguage(language) {
+  const value = String(language || '').trim().toLowerCase();
+  if (!value) return 'Unknown';
+  if (['en', 'eng', 'english', 'en-us', 'en-gb'].includes(value)) return 'English';
+  if (['tw', 'twi', 'ak', 'aka', 'akan', 'asante twi'].includes(value)) return 'Twi';
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * How a clip entered the library. Older CSV imports only set createdBy.
+ */
+function getClipSource(data) {
+  if (data.source) return data.source;
+  if (data.createdBy === 'csv-import') return 'csv-import';
+  return 'unknown';
+}
+
+/**
+ * Year of the service the clip was recorded at, or null when undated
+ */
+function getServiceYear(data) {
+  const match = String(data.serviceDate || '').match(/^(\d{4})-/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Map a clip's stored status onto CLIP_STATUSES. Clips saved before statuses
+ * were written (CSV imports) were always shown, so a missing status is live;
+ * an unrecognised one is held for review rather than published.
+ */
+function normalizeClipStatus(data) {
+  const status = data.status;
+  if (!status) return PUBLIC_CLIP_STATUS;
+  if (CLIP_STATUSES.includes(status)) return status;
+  return LEGACY_CLIP_STATUSES[status] || 'reviewing';
+}
+
+/**
+ * Stored status values that normalize to a status: the status itself and any
+ * legacy value mapped onto it. Queries on status match all of them, so clips
+ * the backfill has not reached yet are still found.
+ */
+function getStoredClipStatuses(status) {
+  const legacy = Object.keys(LEGACY_CLIP_STATUSES).filter(value => LEGACY_CLIP_STATUSES[value] === status);
+  return [status, ...legacy];
+}
+
+/**
+ * Whether a clip may be shown on public endpoints
+ */
+function isPublicClip(data) {
+  return normalizeClipStatus(data) === PUBLIC_CLIP_STATUS;
+}
+
+/**
+ * Fields derived from a clip's raw data that listings sort and filter on in
+ * Firestore. Firestore drops documents that lack an orderBy field, so every
+ * clip must carry these (see POST /api/admin/clips/backfill for old clips).
+ */
+function deriveClipIndexFields(data) {
+  const serviceDate = data.serviceDate || '';
+  return {
+    status: normalizeClipStatus(data),
+    // Older imports stored the start as startSec; episode listings sort on this
+    startTimeSeconds: getClipTimeRange(data).startTimeSeconds,
+    episodeNumber: getEpisodeNumber(data.episode),
+    serviceDate,
+    serviceMonth: /^\d{4}-\d{2}/.test(serviceDate) ? serviceDate.slice(0, 7) : '',
+    serviceYear: getServiceYear(data) || '',
+    savedCount: data.savedCount || 0,
+    playCount: data.playCount || 0,
+    trendingScore: data.trendingScore || 0,
+    indexVersion: CLIP_INDEX_VERSION
+  };
+}
+
+/**
+ * Build the public clip DTO returned by listing and search endpoints
+ */
+function toClipDTO(id, data) {
+  // Get the video ID from various possible field names
+  const videoId = getClipVideoId(data);
+
+  const dto = {
+    id,
+    videoId: videoId,
+    startSec: data.startTimeSeconds || data.startSec || 0,
+    endSec: data.endTimeSeconds || data.endSec || 0,
+    serviceDate: data.serviceDate || "",
+    savedCount: data.savedCount || 0,
+    titleShort: data.titleShort || data.title || "",       // fallback
+    summaryShort: data.summaryShort || "",                 // may be empty initially
+    episode: data.episode || "",                           // Include episode field
+
+    // Include all other fields for full compatibility
+    ...data,
+    sourceVideoId: data.sourceVideoId, // Explicitly include sourceVideoId
+    // Clips waiting for extraction store a null thumbUrl
+    thumbUrl: data.thumbUrl || (videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : ''),
+    status: normalizeClipStatus(data),
+    createdAt: data.createdAt ? timestampToISO(data.createdAt) : undefined,
+  };
+
+  for (const field of INTERNAL_CLIP_FIELDS) {
+    delete dto[field];
+  }
+  return dto;
+}
+
+module.exports = {
+  CLIP_STATUSES,
+  PUBLIC_CLIP_STATUS,
+  CLIP_INDEX_VERSION,
+  timestampToISO,
+  getEpisodeNumber,
+  getClipVideoId,
+  getClipTimeRange,
+  normalizeLanguage,
+  getClipSource,
+  getServiceYear,
+  normalizeClipStatus,
+  getStoredClipStatuses,
+  isPublicClip,
+  deriveClipIndexFields,
+  toClipDTO
+};
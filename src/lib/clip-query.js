@@ -0,0 +1,481 @@
+// Shared query-parameter validation and cursor helpers for clip listings
+const { FieldPath } = require('firebase-admin/firestore');
+const {
+  CLIP_INDEX_VERSION,
+  normalizeLanguage,
+  getClipSource,
+  getServiceYear,
+  getStoredClipStatuses,
+  deriveClipIndexFields
+} = require('./clip-model');
+
+// Public orderBy values mapped to the Firestore fields listings are keyed on
+const CLIP_ORDER_FIELDS = {
+  episode: 'episodeNumber',
+  serviceDate: 'serviceDate'
+};
+
+// Public sort values. recent/oldest walk the orderBy field newest or oldest
+// first; the others rank by a counter kept on each clip (see clip-activity.js).
+const CLIP_SORTS = {
+  recent: { direction: 'desc' },
+  oldest: { direction: 'asc' },
+  mostSaved: { field: 'savedCount', direction: 'desc' },
+  trending: { field: 'trendingScore', direction: 'desc' }
+};
+
+// How long the result of the un-backfilled clips check is reused
+const UNINDEXED_CHECK_TTL_MS = 60 * 1000;
+
+let unindexedCheck = { value: null, at: 0 };
+
+/**
+ * Parse month string (YYYY-MM) into date range
+ * Returns ISO date strings for start and end of month
+ */
+function parseMonthRange(month) {
+  // Validate format with stricter regex
+  if (!/^\d{4}-\d{2}$/.test(month)) {
+    return null;
+  }
+
+  const [yearStr, monthStr] = month.split("-");
+  const year = parseInt(yearStr, 10);
+  const monthNum = parseInt(monthStr, 10);
+
+  // Validate year and month values with reasonable bounds
+  if (isNaN(year) || isNaN(monthNum) || monthNum < 1 || monthNum > 12 || year < 2000 || year > 2100) {
+    return null;
+  }
+
+  // Create start and end dates in UTC
+  const start = new Date(Date.UTC(year, monthNum - 1, 1));
+  const end = new Date(Date.UTC(year, monthNum, 0)); // Last day of month
+
+  // Return ISO date strings (YYYY-MM-DD format for Firestore)
+  const iso = (d) => d.toISOString().slice(0, 10);
+  return { start: iso(start), end: iso(end) };
+}
+
+/**
+ * The calendar day after an ISO date (YYYY-MM-DD). serviceDate may hold a
+ * full datetime, so an inclusive "to" day is matched as serviceDate < nextDay(to).
+ */
+function nextDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Encode cursor data to base64url string for URL safety
+ */
+function encodeCursor(obj) {
+  try {
+    return Buffer.from(JSON.stringify(obj)).toString("base64url");
+  } catch (error) {
+    console.error("[Clip Query] Error encoding cursor:", error);
+    throw new Error("Failed to encode pagination cursor");
+  }
+}
+
+/**
+ * Decode a base64url cursor into a plain object without checking its shape
+ */
+function decodeRawCursor(s) {
+  if (!s) return null;
+
+  try {
+    const decoded = JSON.parse(Buffer.from(s, "base64url").toString("utf8"));
+    if (typeof decoded !== 'object' || decoded === null) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    console.warn("[Clip Query] Invalid cursor format:", s);
+    return null;
+  }
+}
+
+/**
+ * Decode a listing cursor: the sort field, its value and the document ID of
+ * the last item on the previous page
+ */
+function decodeCursor(s) {
+  const decoded = decodeRawCursor(s);
+  if (!decoded) return null;
+
+  // Validate keyset cursor structure
+  if (typeof decoded.orderBy !== 'string' || typeof decoded.id !== 'string' || !decoded.id) {
+    return null;
+  }
+  if (typeof decoded.value !== 'number' && typeof decoded.value !== 'string') {
+    return null;
+  }
+
+  return decoded;
+}
+
+/**
+ * Parse an ISO calendar date (YYYY-MM-DD), returning null when malformed or
+ * not a real date
+ */
+function parseISODate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Validate and sanitize the filter parameters shared by clip listings and search
+ * (categoryId, month, from/to, episode). Throws on invalid input. year is only
+ * read here as the year of a bare MM month; as a filter of its own it is opt-in
+ * per endpoint (see applyYearFilter).
+ */
+function validateClipFilters(query) {
+  const categoryId = query.categoryId?.trim() || undefined;
+  const monthValue = query.month?.trim() || undefined;
+  const yearValue = query.year?.trim() || undefined;
+  const fromValue = query.from?.trim() || undefined;
+  const toValue = query.to?.trim() || undefined;
+  const episodeValue = query.episode?.trim() || undefined;
+
+  // Month is either YYYY-MM on its own, or MM in the given year (the current
+  // year when none is given, as listings always treated it)
+  let month = undefined;
+  if (monthValue) {
+    if (/^\d{4}-\d{2}$/.test(monthValue) && !yearValue) {
+      month = monthValue;
+    } else {
+      const monthYear = yearValue || String(new Date().getUTCFullYear());
+      month = `${monthYear}-${monthValue.padStart(2, '0')}`;
+    }
+
+    if (!parseMonthRange(month)) {
+      throw new Error(`Invalid month format: ${month}. Expected YYYY-MM format.`);
+    }
+  }
+
+  // Validate date range if provided
+  let from = undefined;
+  let to = undefined;
+  if (fromValue) {
+    from = parseISODate(fromValue);
+    if (!from) {
+      throw new Error(`Invalid from date: ${fromValue}. Expected YYYY-MM-DD format.`);
+    }
+  }
+  if (toValue) {
+    to = parseISODate(toValue);
+    if (!to) {
+      throw new Error(`Invalid to date: ${toValue}. Expected YYYY-MM-DD format.`);
+    }
+  }
+
+  checkDateRange(from, to);
+
+  // Validate categoryId (basic sanitization)
+  if (categoryId && (categoryId.length > 100 || /[<>"']/.test(categoryId))) {
+    throw new Error("Invalid categoryId format");
+  }
+
+  // Validate episode number (should be numeric string)
+  let episode = undefined;
+  if (episodeValue) {
+    const episodeNum = parseInt(episodeValue, 10);
+    if (!isNaN(episodeNum) && episodeNum > 0 && episodeNum < 10000) {
+      episode = episodeValue;
+    } else {
+      throw new Error("Invalid episode number format");
+    }
+  }
+
+  return { categoryId, month, from, to, episode };
+}
+
+/**
+ * Reject a date range whose start is after its end
+ */
+function checkDateRange(from, to) {
+  if (from && to && from > to) {
+    throw new Error(`Invalid date range: from (${from}) is after to (${to})`);
+  }
+}
+
+/**
+ * Add the year filter to validated filters. A year on its own filters the
+ * whole service year; combined with from/to it narrows the range to that
+ * year, and alongside a month it only gives the month's year.
+ * Throws on an invalid year or a range left empty by the narrowing.
+ */
+function applyYearFilter(query, filters) {
+  const yearValue = query.year?.trim() || undefined;
+  if (!yearValue || filters.month) {
+    return filters;
+  }
+
+  const yearNum = parseInt(yearValue, 10);
+  if (!/^\d{4}$/.test(yearValue) || yearNum < 2000 || yearNum > 2100) {
+    throw new Error(`Invalid year format: ${yearValue}. Expected YYYY format.`);
+  }
+
+  let { from, to } = filters;
+  if (!from && !to) {
+    return { ...filters, year: yearValue };
+  }
+
+  from = !from || from < `${yearValue}-01-01` ? `${yearValue}-01-01` : from;
+  to = !to || to > `${yearValue}-12-31` ? `${yearValue}-12-31` : to;
+  checkDateRange(from, to);
+  return { ...filters, from, to };
+}
+
+/**
+ * Validate the page size parameter (default 20, max 50)
+ */
+function validateLimit(query) {
+  const limitParam = query.limit?.trim();
+  const parsedLimit = limitParam ? parseInt(limitParam, 10) : 20;
+  return isNaN(parsedLimit) ? 20 : Math.min(Math.max(1, parsedLimit), 50);
+}
+
+/**
+ * Resolve the field and direction a listing is ordered by.
+ * A from/to range is a range on serviceDate, which Firestore requires to be
+ * the first orderBy, so ranges only support recent/oldest and are always
+ * ordered by service date. Clips of a single episode share its number, so
+ * sorting them by episode lists them in broadcast order (startTimeSeconds)
+ * instead.
+ * @returns {{orderField: string, direction: string}}
+ */
+function resolveClipsOrder({ from, to, episode, orderBy = 'episode', sort = 'recent' }) {
+  const sortSpec = CLIP_SORTS[sort] || CLIP_SORTS.recent;
+  let orderField = sortSpec.field || CLIP_ORDER_FIELDS[orderBy] || CLIP_ORDER_FIELDS.episode;
+  let direction = sortSpec.direction;
+
+  if (from || to) {
+    if (sortSpec.field) {
+      throw new Error(`Invalid sort: ${sort} cannot be combined with a from/to date range`);
+    }
+    orderField = 'serviceDate';
+  } else if (episode && orderField === 'episodeNumber') {
+    orderField = 'startTimeSeconds';
+    direction = "asc";
+  }
+
+  return { orderField, direction };
+}
+
+/**
+ * Reject a cursor issued for a listing with a different order
+ */
+function checkClipsCursor(cursor, orderField, direction) {
+  if (cursor.orderBy !== orderField || (cursor.direction || "desc") !== direction) {
+    throw new Error("Invalid cursor: it belongs to a listing with a different sort order");
+  }
+}
+
+/**
+ * Build a keyset-paginated Firestore query for clip listings.
+ * Results are ordered by the sort's field with the document ID as tie-breaker,
+ * and one extra document is fetched to detect further pages. Month and year
+ * filters match the derived serviceMonth/serviceYear fields, so they combine
+ * with any sort. See resolveClipsOrder for how the order is picked.
+ * Pass status to list only clips in that status (public listings use "live"),
+ * including clips still stored under a legacy name for it. Clips saved with
+ * no status at all are only found once backfilled; until then, like any clip
+ * missing derived fields, they are covered by listClipsInMemory.
+ * Only clips carrying the current derived fields are found; while any lack
+ * them use listClipsInMemory instead (see hasUnindexedClips).
+ * @returns {{query: object, orderField: string, direction: string}}
+ */
+function buildClipsQuery(collection, { status, categoryId, month, year, from, to, episode, orderBy = 'episode', sort = 'recent', cursor, limit }) {
+  let query = collection;
+
+  if (status) {
+    query = query.where("status", "in", getStoredClipStatuses(status));
+  }
+
+  if (categoryId) {
+    query = query.where("categoryId", "==", categoryId);
+  }
+
+  if (episode) {
+    query = query.where("episodeNumber", "==", parseInt(episode, 10));
+  }
+
+  if (month) {
+    query = query.where("serviceMonth", "==", month);
+  }
+
+  if (year) {
+    query = query.where("serviceYear", "==", year);
+  }
+
+  const { orderField, direction } = resolveClipsOrder({ from, to, episode, orderBy, sort });
+
+  if (from || to) {
+    // The lower bound also keeps undated clips (empty serviceDate) out
+    query = query.where("serviceDate", ">=", from || "0000-01-01");
+    if (to) {
+      query = query.where("serviceDate", "<", nextDay(to));
+    }
+  }
+
+  query = query
+    .orderBy(orderField, direction)
+    .orderBy(FieldPath.documentId(), direction);
+
+  if (cursor) {
+    checkClipsCursor(cursor, orderField, direction);
+    query = query.startAfter(cursor.value, cursor.id);
+  }
+
+  return { query: query.limit(limit + 1), orderField, direction };
+}
+
+/**
+ * The same listing as buildClipsQuery, worked out in memory over every clip
+ * document. Used while some clips have not been backfilled with the derived
+ * listing fields, which the Firestore query would silently leave out.
+ * @param {Array<{id: string, data: object}>} docs - Raw clip documents
+ * @returns {{rows: Array<{id: string, data: object}>, orderField: string, direction: string}}
+ *   Up to limit + 1 rows, their data including the derived fields
+ */
+function listClipsInMemory(docs, { status, categoryId, month, year, from, to, episode, orderBy = 'episode', sort = 'recent', cursor, limit }) {
+  const { orderField, direction } = resolveClipsOrder({ from, to, episode, orderBy, sort });
+  if (cursor) {
+    checkClipsCursor(cursor, orderField, direction);
+  }
+
+  const episodeNumber = episode ? parseInt(episode, 10) : null;
+  const sign = direction === 'desc' ? -1 : 1;
+  const compare = (aValue, aId, bValue, bId) => {
+    if (aValue !== bValue) return (aValue < bValue ? -1 : 1) * sign;
+    if (aId !== bId) return (aId < bId ? -1 : 1) * sign;
+    return 0;
+  };
+
+  const rows = docs
+    .map(({ id, data }) => ({ id, data: { ...data, ...deriveClipIndexFields(data) } }))
+    .filter(({ data }) => {
+      if (status && data.status !== status) return false;
+      if (categoryId && data.categoryId !== categoryId) return false;
+      if (episodeNumber !== null && data.episodeNumber !== episodeNumber) return false;
+      if (month && data.serviceMonth !== month) return false;
+      if (year && data.serviceYear !== year) return false;
+      if ((from || to) && data.serviceDate < (from || "0000-01-01")) return false;
+      if (to && data.serviceDate >= nextDay(to)) return false;
+      return true;
+    })
+    .sort((a, b) => compare(a.data[orderField], a.id, b.data[orderField], b.id));
+
+  const start = cursor
+    ? rows.findIndex(row => compare(row.data[orderField], row.id, cursor.value, cursor.id) > 0)
+    : 0;
+
+  return {
+    rows: start === -1 ? [] : rows.slice(start, start + limit + 1),
+    orderField,
+    direction
+  };
+}
+
+/**
+ * Whether any clip lacks the current derived listing fields (checked with
+ * two count queries, cached for a minute)
+ */
+async function hasUnindexedClips(collection) {
+  if (unindexedCheck.value !== null && Date.now() - unindexedCheck.at < UNINDEXED_CHECK_TTL_MS) {
+    return unindexedCheck.value;
+  }
+
+  const [total, indexed] = await Promise.all([
+    collection.count().get(),
+    collection.where("indexVersion", "==", CLIP_INDEX_VERSION).count().get()
+  ]);
+  const value = indexed.data().count < total.data().count;
+  unindexedCheck = { value, at: Date.now() };
+  return value;
+}
+
+/**
+ * Forget the cached hasUnindexedClips result (call after a backfill)
+ */
+function resetUnindexedClipsCheck() {
+  unindexedCheck = { value: null, at: 0 };
+}
+
+/**
+ * Check a normalized clip DTO against validated filters in memory
+ */
+function matchesClipFilters(item, { categoryId, month, year, from, to, episode, language, source }) {
+  if (categoryId && item.categoryId !== categoryId) {
+    return false;
+  }
+
+  if (year && getServiceYear(item) !== year) {
+    return false;
+  }
+
+  if (from && !(item.serviceDate && item.serviceDate >= from)) {
+    return false;
+  }
+
+  if (to && !(item.serviceDate && item.serviceDate < nextDay(to))) {
+    return false;
+  }
+
+  if (language && normalizeLanguage(item.language) !== normalizeLanguage(language)) {
+    return false;
+  }
+
+  if (source && getClipSource(item) !== source) {
+    return false;
+  }
+
+  // Apply month filter if provided
+  if (month) {
+    const monthRange = parseMonthRange(month);
+    if (monthRange && item.serviceDate) {
+      // Check if service date falls within the month range
+      if (item.serviceDate < monthRange.start || item.serviceDate >= nextDay(monthRange.end)) {
+        return false;
+      }
+    }
+  }
+
+  // Apply episode filter if provided
+  if (episode) {
+    const itemEpisodeNumber = item.episode ? String(item.episode).match(/\d+/)?.[0] : null;
+    if (!itemEpisodeNumber || parseInt(itemEpisodeNumber, 10) !== parseInt(episode, 10)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  CLIP_ORDER_FIELDS,
+  CLIP_SORTS,
+  parseMonthRange,
+  parseISODate,
+  encodeCursor,
+  decodeRawCursor,
+  decodeCursor,
+  validateClipFilters,
+  applyYearFilter,
+  validateLimit,
+  buildClipsQuery,
+  listClipsInMemory,
+  hasUnindexedClips,
+  resetUnindexedClipsCheck,
+  matchesClipFilters
+};
@@ -59,7 +59,7 @@ export async function processTestimoniesWithVideos(
     
     try {
       // Create video clip for this testimony
-      const processedClipUrl = await processVideoAndUpload(
+      const { publicUrl: processedClipUrl } = await processVideoAndUpload(
         youtubeUrl,
         testimony.startTimeSeconds,
         testimony.endTimeSeconds
@@ -0,0 +1,146 @@
+// Text embedding providers used by semantic search
+const OpenAI = require('openai');
+const { tokenize } = require('./search-text');
+
+/**
+ * An embedding provider turns texts into fixed-length unit vectors:
+ *   { name, model, dimensions, minScore, embed(texts) => Promise<number[][]> }
+ * `minScore` is the cosine similarity below which results are treated as noise.
+ */
+
+/**
+ * Scale a vector to unit length so cosine similarity is a dot product
+ */
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Cosine similarity between two vectors of equal length
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * 32-bit FNV-1a hash, stable across processes and platforms
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Crude suffix stripping so "healed", "healing" and "heals" share a feature
+ */
+function stem(term) {
+  return term.replace(/(ings|ing|edly|ed|es|s)$/, '') || term;
+}
+
+/**
+ * Deterministic feature-hashing embeddings that need no network or API key.
+ * Words, stems and character trigrams are hashed into signed buckets, so
+ * results are repeatable in tests and local development.
+ */
+function createLocalEmbeddingProvider({ dimensions = 256 } = {}) {
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    const addFeature = (feature, weight) => {
+      const hash = fnv1a(feature);
+      const sign = hash & 1 ? 1 : -1;
+      vector[(hash >>> 1) % dimensions] += sign * weight;
+    };
+
+    for (const term of tokenize(text)) {
+      const stemmed = stem(term);
+      addFeature(`w:${term}`, 1);
+      addFeature(`s:${stemmed}`, 1);
+      const padded = `_${stemmed}_`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        addFeature(`g:${padded.slice(i, i + 3)}`, 0.3);
+      }
+    }
+
+    return normalizeVector(vector);
+  };
+
+  return {
+    name: 'local',
+    model: `hash-${dimensions}`,
+    dimensions,
+    minScore: 0.1,
+    embed: async (texts) => texts.map(embedOne)
+  };
+}
+
+/**
+ * OpenAI embeddings (text-embedding-3-small by default)
+ */
+function createOpenAIEmbeddingProvider({ apiKey = process.env.OPENAI_API_KEY, model } = {}) {
+  const client = new OpenAI({ apiKey });
+  const embeddingModel = model || process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+
+  return {
+    name: 'openai',
+    model: embeddingModel,
+    dimensions: null, // Determined by the model
+    minScore: 0.25,
+    embed: async (texts) => {
+      if (texts.length === 0) return [];
+      const response = await client.embeddings.create({
+        model: embeddingModel,
+        input: texts
+      });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => normalizeVector(item.embedding));
+    }
+  };
+}
+
+let defaultProvider = null;
+
+/**
+ * Get the configured provider. EMBEDDING_PROVIDER may be "openai" or "local";
+ * without it, OpenAI is used when an API key is present.
+ */
+function getEmbeddingProvider() {
+  if (defaultProvider) return defaultProvider;
+
+  const configured = process.env.EMBEDDING_PROVIDER?.trim().toLowerCase();
+  const useOpenAI = configured ? configured === 'openai' : !!process.env.OPENAI_API_KEY;
+
+  defaultProvider = useOpenAI ? createOpenAIEmbeddingProvider() : createLocalEmbeddingProvider();
+  console.log(`[Embeddings] Using ${defaultProvider.name} provider (${defaultProvider.model})`);
+  return defaultProvider;
+}
+
+/**
+ * Override the provider (e.g. with the local provider in tests)
+ */
+function setEmbeddingProvider(provider) {
+  defaultProvider = provider;
+}
+
+module.exports = {
+  cosineSimilarity,
+  normalizeVector,
+  createLocalEmbeddingProvider,
+  createOpenAIEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider
+};
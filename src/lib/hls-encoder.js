@@ -0,0 +1,136 @@
+// HLS adaptive-bitrate ladder for processed clips
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { parseTimemark } = require('./parse');
+
+// Renditions from smallest to largest. 240p keeps clips playable on 2G.
+const HLS_LADDER = [
+  { name: '240p', height: 240, videoKbps: 300, audioKbps: 64 },
+  { name: '360p', height: 360, videoKbps: 700, audioKbps: 96 },
+  { name: '720p', height: 720, videoKbps: 2200, audioKbps: 128 }
+];
+
+// Seconds per segment; keyframes are forced on this grid so every rendition
+// can switch at segment boundaries
+const HLS_SEGMENT_SECONDS = 6;
+
+/**
+ * Renditions to produce, from HLS_RENDITIONS (e.g. "240p,360p"; "none"
+ * disables HLS). Renditions taller than the source are skipped, except that
+ * the smallest is always kept.
+ */
+function getHlsLadder(sourceHeight) {
+  const names = (process.env.HLS_RENDITIONS || HLS_LADDER.map(rung => rung.name).join(','))
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const ladder = HLS_LADDER.filter(rung => names.includes(rung.name));
+  if (!sourceHeight || ladder.length === 0) return ladder;
+
+  const fitting = ladder.filter(rung => rung.height <= sourceHeight);
+  return fitting.length > 0 ? fitting : ladder.slice(0, 1);
+}
+
+/**
+ * Encode one rendition into outputDir/<name>/index.m3u8 plus its segments
+ */
+function encodeRendition(inputPath, outputDir, rung, onPercent, duration) {
+  return new Promise((resolve, reject) => {
+    const rungDir = path.join(outputDir, rung.name);
+    fs.mkdirSync(rungDir, { recursive: true });
+
+    ffmpeg(inputPath)
+      .output(path.join(rungDir, 'index.m3u8'))
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .outputOptions([
+        '-vf', `scale=-2:${rung.height}`,
+        '-preset', 'veryfast',
+        '-profile:v', 'main',
+        '-b:v', `${rung.videoKbps}k`,
+        '-maxrate', `${Math.round(rung.videoKbps * 1.1)}k`,
+        '-bufsize', `${rung.videoKbps * 2}k`,
+        '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+        '-sc_threshold', '0',
+        '-b:a', `${rung.audioKbps}k`,
+        '-ac', '2',
+        '-f', 'hls',
+        '-hls_time', String(HLS_SEGMENT_SECONDS),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(rungDir, 'segment_%03d.ts')
+      ])
+      .on('progress', (progress) => {
+        const seconds = parseTimemark(progress.timemark);
+        if (seconds !== null && duration > 0) {
+          onPercent((seconds / duration) * 100);
+        }
+      })
+      .on('end', () => resolve())
+      .on('error', (error, stdout, stderr) => {
+        console.error(`FFmpeg HLS ${rung.name} error:`, error.message);
+        console.error('FFmpeg stderr:', stderr);
+        reject(new Error(`HLS encoding (${rung.name}) failed: ${error.message}`));
+      })
+      .run();
+  });
+}
+
+/**
+ * Build the master playlist listing every rendition
+ */
+function buildMasterPlaylist(renditions) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const rendition of renditions) {
+    const resolution = rendition.width ? `,RESOLUTION=${rendition.width}x${rendition.height}` : '';
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth}${resolution}`);
+    lines.push(rendition.playlist);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Encode a clip into an HLS ladder under outputDir: master.m3u8 plus one
+ * <name>/index.m3u8 playlist per rendition
+ * @param {string} inputPath - Trimmed clip
+ * @param {string} outputDir - Empty directory to write into
+ * @param {object} options
+ * @param {number} options.duration - Clip length in seconds, for progress
+ * @param {{width: number, height: number}|null} [options.source] - Dimensions of the clip
+ * @param {function(number): void} [options.onPercent] - Progress across all renditions, 0-100
+ * @returns {Promise<{master: string, renditions: Array<{name: string, width: number|null, height: number, bandwidth: number, playlist: string}>}|null>}
+ *   Paths relative to outputDir, or null when HLS is disabled
+ */
+async function encodeHlsLadder(inputPath, outputDir, { duration, source = null, onPercent = () => {} }) {
+  const ladder = getHlsLadder(source?.height);
+  if (ladder.length === 0) return null;
+
+  const renditions = [];
+  for (const [index, rung] of ladder.entries()) {
+    console.log(`📺 Encoding HLS ${rung.name} rendition...`);
+    await encodeRendition(inputPath, outputDir, rung, percent => {
+      onPercent(((index + Math.min(percent, 100) / 100) / ladder.length) * 100);
+    }, duration);
+
+    renditions.push({
+      name: rung.name,
+      // scale=-2 keeps the aspect ratio with an even width
+      width: source?.width && source?.height
+        ? Math.round((source.width * rung.height) / source.height / 2) * 2
+        : null,
+      height: rung.height,
+      bandwidth: (rung.videoKbps + rung.audioKbps) * 1000,
+      playlist: `${rung.name}/index.m3u8`
+    });
+  }
+
+  await fs.promises.writeFile(path.join(outputDir, 'master.m3u8'), buildMasterPlaylist(renditions));
+  return { master: 'master.m3u8', renditions };
+}
+
+module.exports = {
+  HLS_LADDER,
+  getHlsLadder,
+  encodeHlsLadder
+};
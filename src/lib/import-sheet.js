@@ -0,0 +1,206 @@
+// Read CSV / XLSX spreadsheets into rows for the clip import
+const { parse: parseCsv } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+
+// Import row fields and the spreadsheet headers recognised for each
+// (compared after normalizeHeader)
+const HEADER_ALIASES = {
+  youtubeLink: ['youtube link', 'youtube url', 'youtube', 'video link', 'video url', 'video', 'link', 'url'],
+  startTime: ['start time', 'start', 'starttime', 'from', 'begin', 'start timestamp'],
+  endTime: ['end time', 'end', 'endtime', 'to', 'finish', 'end timestamp'],
+  clipTitle: ['clip title', 'title', 'testimony title', 'cliptitle'],
+  briefDescription: ['brief description', 'description', 'summary', 'notes', 'briefdescription'],
+  category: ['category', 'topic', 'theme'],
+  episode: ['episode', 'episode number', 'ep', 'episode no'],
+  language: ['language', 'lang'],
+  externalKey: ['external key', 'externalkey', 'row key', 'row id', 'key']
+};
+
+const IMPORT_FIELDS = Object.keys(HEADER_ALIASES);
+const REQUIRED_FIELDS = ['youtubeLink', 'startTime', 'endTime', 'category'];
+const TIME_FIELDS = ['startTime', 'endTime'];
+
+// Excel stores dates and times as days since this instant
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+/**
+ * Lowercase a header and collapse punctuation/whitespace to single spaces
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Map import fields to column positions. Explicit mappings (field -> header
+ * text) win over the aliases; every other field is matched by alias.
+ * @param {string[]} headers - Header row of the sheet
+ * @param {Object<string, string>} overrides - e.g. { clipTitle: "Testimony Name" }
+ * @returns {{columns: Object<string, number>, missing: string[], unmapped: string[]}}
+ * @throws {Error} If an override names an unknown field or a header that is not in the sheet
+ */
+function buildColumnMapping(headers, overrides = {}) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  for (const [field, header] of Object.entries(overrides)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      throw new Error(`Invalid mapping: unknown field "${field}". Expected one of: ${IMPORT_FIELDS.join(', ')}`);
+    }
+    const position = normalized.indexOf(normalizeHeader(header));
+    if (position === -1) {
+      throw new Error(`Invalid mapping: column "${header}" not found in the file`);
+    }
+    columns[field] = position;
+  }
+
+  for (const field of IMPORT_FIELDS) {
+    if (columns[field] !== undefined) continue;
+    const taken = new Set(Object.values(columns));
+    for (const alias of HEADER_ALIASES[field]) {
+      const position = normalized.findIndex((header, i) => header === alias && !taken.has(i));
+      if (position !== -1) {
+        columns[field] = position;
+        break;
+      }
+    }
+  }
+
+  const used = new Set(Object.values(columns));
+  return {
+    columns,
+    missing: REQUIRED_FIELDS.filter(field => columns[field] === undefined),
+    unmapped: headers.filter((header, i) => !used.has(i) && String(header || '').trim())
+  };
+}
+
+/**
+ * Format seconds as h:mm:ss for parseTimeToSeconds
+ */
+function formatSeconds(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Turn an ExcelJS cell value into plain text. Time-formatted cells arrive as
+ * Dates (or fractions of a day) and are converted back to h:mm:ss.
+ */
+function cellToString(value, field) {
+  if (value === null || value === undefined) return '';
+
+  if (value instanceof Date) {
+    if (TIME_FIELDS.includes(field)) {
+      return formatSeconds(Math.round((value.getTime() - EXCEL_EPOCH_MS) / 1000) % 86400);
+    }
+    return value.toISOString().slice(0, 10);
+  }
+
+  if (typeof value === 'number') {
+    // A fraction of a day is a time of day; whole numbers are plain seconds
+    if (TIME_FIELDS.includes(field) && value > 0 && value < 1) {
+      return formatSeconds(Math.round(value * 86400));
+    }
+    return String(value);
+  }
+
+  if (typeof value === 'object') {
+    if (value.hyperlink) return String(value.hyperlink);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellToString(value.result, field);
+    return '';
+  }
+
+  return String(value);
+}
+
+/**
+ * Read the first worksheet of an uploaded file into a header row and data rows
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original name, used to detect the format
+ * @returns {Promise<{headers: string[], rows: Array<Array<*>>, rowNumbers: number[]}>}
+ *   rowNumbers holds each data row's line number in the file, counting the
+ *   blank lines that are skipped
+ */
+async function readSpreadsheet(buffer, filename = '') {
+  const extension = filename.toLowerCase().split('.').pop();
+
+  if (extension === 'csv' || extension === 'txt') {
+    const records = parseCsv(buffer, {
+      bom: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      trim: true,
+      info: true
+    });
+    const [header, ...rows] = records;
+    return {
+      headers: header ? header.record : [],
+      rows: rows.map(row => row.record),
+      // The line the record ends on; a quoted value spanning lines ends below where it starts
+      rowNumbers: rows.map(row => row.info.lines)
+    };
+  }
+
+  if (extension === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+      return { headers: [], rows: [], rowNumbers: [] };
+    }
+
+    const records = [];
+    sheet.eachRow({ includeEmpty: false }, row => {
+      // row.values is 1-based
+      records.push({ values: row.values.slice(1), number: row.number });
+    });
+    const [header, ...rows] = records;
+    return {
+      headers: header ? header.values.map(value => cellToString(value)) : [],
+      rows: rows.map(row => row.values),
+      rowNumbers: rows.map(row => row.number)
+    };
+  }
+
+  throw new Error(`Unsupported file type: .${extension}. Upload a .csv or .xlsx file.`);
+}
+
+/**
+ * Convert data rows into import rows using a column mapping. Blank rows are
+ * dropped; each row keeps its line number in the sheet.
+ * @param {Array<Array<*>>} rows - Data rows from readSpreadsheet
+ * @param {Object<string, number>} columns - Column mapping from buildColumnMapping
+ * @param {number[]} [rowNumbers] - Line numbers from readSpreadsheet; without
+ *   them rows are assumed to follow the header with no gaps
+ * @returns {{clips: object[], lines: number[]}}
+ */
+function rowsToClips(rows, columns, rowNumbers) {
+  const clips = [];
+  const lines = [];
+
+  rows.forEach((row, index) => {
+    const clip = {};
+    for (const [field, position] of Object.entries(columns)) {
+      const value = cellToString(row[position], field).trim();
+      if (value) clip[field] = value;
+    }
+    if (Object.keys(clip).length === 0) return;
+
+    clips.push(clip);
+    lines.push(rowNumbers ? rowNumbers[index] : index + 2);
+  });
+
+  return { clips, lines };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  REQUIRED_FIELDS,
+  normalizeHeader,
+  buildColumnMapping,
+  readSpreadsheet,
+  rowsToClips
+};
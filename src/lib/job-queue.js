@@ -0,0 +1,461 @@
+// Persistent background job queue with retries and a concurrency limit
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { adminDb } = require('./firebase-admin');
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+// How often a worker refreshes the lock on each job it is running
+const LOCK_HEARTBEAT_MS = 60 * 1000;
+
+// A running job whose lock has not been refreshed for this long is assumed
+// lost (e.g. the process restarted or crashed) and is queued again. A few
+// missed heartbeats are tolerated so one slow write does not requeue a job.
+const JOB_LOCK_TIMEOUT_MS = 5 * LOCK_HEARTBEAT_MS;
+
+// Longest wait between retries
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Progress within a stage is stored at most this often; listeners in this
+// process still get every update
+const PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+/**
+ * Build a new job record
+ */
+function createJobRecord(type, payload, { maxAttempts, delayMs = 0 }) {
+  const now = Date.now();
+  return {
+    type,
+    payload,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts,
+    runAt: now + delayMs,
+    progress: null,
+    result: null,
+    lastError: null,
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * In-process job storage. Jobs are lost on restart, so this is meant for
+ * tests and local development without Firestore credentials.
+ */
+function createMemoryDriver() {
+  const jobs = new Map();
+
+  return {
+    name: 'memory',
+
+    async add(job) {
+      const id = crypto.randomUUID();
+      jobs.set(id, { ...job, id });
+      return id;
+    },
+
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? { ...job } : null;
+    },
+
+    async update(id, fields) {
+      const job = jobs.get(id);
+      if (job) jobs.set(id, { ...job, ...fields });
+    },
+
+    async finish(id, workerId, fields) {
+      const job = jobs.get(id);
+      if (!job || job.status !== 'running' || job.lockedBy !== workerId) return false;
+      jobs.set(id, { ...job, ...fields });
+      return true;
+    },
+
+    async claimNext(types, workerId, now) {
+      const ready = [...jobs.values()]
+        .filter(job => job.status === 'queued' && job.runAt <= now && types.includes(job.type))
+        .sort((a, b) => a.runAt - b.runAt);
+      const job = ready[0];
+      if (!job) return null;
+
+      const claimed = {
+        ...job,
+        status: 'running',
+        attempts: job.attempts + 1,
+        lockedBy: workerId,
+        lockedAt: now,
+        updatedAt: new Date(now).toISOString()
+      };
+      jobs.set(job.id, claimed);
+      return { ...claimed };
+    },
+
+    async requeueStale(now) {
+      let count = 0;
+      for (const job of jobs.values()) {
+        if (job.status === 'running' && job.lockedAt < now - JOB_LOCK_TIMEOUT_MS) {
+          jobs.set(job.id, { ...job, status: 'queued', runAt: now, lockedBy: null });
+          count++;
+        }
+      }
+      return count;
+    }
+  };
+}
+
+/**
+ * Job storage in a Firestore collection. Workers claim jobs in a transaction,
+ * so several server instances can share one queue.
+ */
+function createFirestoreDriver(db, collectionName = 'jobs') {
+  if (!db) {
+    throw new Error('Database not initialized');
+  }
+
+  const collection = db.collection(collectionName);
+
+  return {
+    name: 'firestore',
+
+    async add(job) {
+      const ref = collection.doc();
+      await ref.set({ ...job, id: ref.id });
+      return ref.id;
+    },
+
+    async get(id) {
+      const doc = await collection.doc(id).get();
+      return doc.exists ? { ...doc.data(), id: doc.id } : null;
+    },
+
+    async update(id, fields) {
+      await collection.doc(id).update(fields);
+    },
+
+    // The job may have been requeued as stale and claimed by another worker
+    // since this one started it; only the worker holding the lock records the outcome
+    async finish(id, workerId, fields) {
+      const ref = collection.doc(id);
+      return db.runTransaction(async (transaction) => {
+        const fresh = await transaction.get(ref);
+        if (!fresh.exists || fresh.get('status') !== 'running' || fresh.get('lockedBy') !== workerId) return false;
+
+        transaction.update(ref, fields);
+        return true;
+      });
+    },
+
+    async claimNext(types, workerId, now) {
+      if (types.length === 0) return null;
+
+      // Firestore allows up to 30 values in an "in" filter
+      const snapshot = await collection
+        .where('status', '==', 'queued')
+        .where('type', 'in', types.slice(0, 30))
+        .where('runAt', '<=', now)
+        .orderBy('runAt')
+        .limit(10)
+        .get();
+
+      for (const doc of snapshot.docs) {
+        const claimed = await db.runTransaction(async (transaction) => {
+          const fresh = await transaction.get(doc.ref);
+          if (!fresh.exists || fresh.get('status') !== 'queued') return null;
+
+          const fields = {
+            status: 'running',
+            attempts: (fresh.get('attempts') || 0) + 1,
+            lockedBy: workerId,
+            lockedAt: now,
+            updatedAt: new Date(now).toISOString()
+          };
+          transaction.update(doc.ref, fields);
+          return { ...fresh.data(), ...fields, id: doc.id };
+        });
+
+        if (claimed) return claimed;
+      }
+
+      return null;
+    },
+
+    async requeueStale(now) {
+      const snapshot = await collection
+        .where('status', '==', 'running')
+        .where('lockedAt', '<', now - JOB_LOCK_TIMEOUT_MS)
+        .get();
+
+      let count = 0;
+      for (const doc of snapshot.docs) {
+        // The worker may have refreshed the lock or finished since the query
+        const requeued = await db.runTransaction(async (transaction) => {
+          const fresh = await transaction.get(doc.ref);
+          if (!fresh.exists || fresh.get('status') !== 'running') return false;
+          if (fresh.get('lockedAt') >= now - JOB_LOCK_TIMEOUT_MS) return false;
+
+          transaction.update(doc.ref, { status: 'queued', runAt: now, lockedBy: null, updatedAt: new Date(now).toISOString() });
+          return true;
+        });
+        if (requeued) count++;
+      }
+      return count;
+    }
+  };
+}
+
+/**
+ * Create a job queue over a storage driver.
+ * Handlers are registered per job type; a failed job is retried with
+ * exponential backoff until it has run maxAttempts times.
+ * @param {object} options
+ * @param {object} options.driver - createMemoryDriver() or createFirestoreDriver(db)
+ * @param {number} [options.concurrency=2] - Jobs run at once by this process
+ * @param {number} [options.pollIntervalMs=2000] - How often idle workers look for jobs
+ */
+function createJobQueue({ driver, concurrency = 2, pollIntervalMs = 2000 }) {
+  const handlers = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const workerId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  let running = 0;
+  let timer = null;
+  let staleTimer = null;
+  let polling = false;
+
+  /**
+   * Register the function that runs jobs of a type.
+   * handler(job, { progress }) may call progress({ stage, percent }) to report
+   * how far it got.
+   */
+  function register(type, handler, { maxAttempts = 3, backoffMs = 30 * 1000 } = {}) {
+    handlers.set(type, { handler, maxAttempts, backoffMs });
+  }
+
+  /**
+   * Queue a job and return its ID without waiting for it to run
+   */
+  async function enqueue(type, payload, { maxAttempts, delayMs } = {}) {
+    const registered = handlers.get(type);
+    if (!registered) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const id = await driver.add(createJobRecord(type, payload, {
+      maxAttempts: maxAttempts || registered.maxAttempts,
+      delayMs
+    }));
+    console.log(`[Job Queue] Queued ${type} job ${id}`);
+
+    // Pick it up straight away if a worker slot is free
+    setImmediate(poll);
+    return id;
+  }
+
+  async function getJob(id) {
+    return driver.get(id);
+  }
+
+  /**
+   * Store changed job fields and tell this process's subscribers
+   */
+  async function updateJob(id, fields) {
+    await driver.update(id, fields);
+    events.emit('update', id, fields);
+  }
+
+  /**
+   * Store a job's outcome if this worker still holds its lock, and tell this
+   * process's subscribers
+   * @returns {Promise<boolean>} false if the job was taken over by another worker
+   */
+  async function finishJob(job, fields) {
+    const finished = await driver.finish(job.id, workerId, fields);
+    if (finished) {
+      events.emit('update', job.id, fields);
+    } else {
+      console.warn(`[Job Queue] ${job.type} job ${job.id} was requeued or taken over by another worker; not recording its outcome`);
+    }
+    return finished;
+  }
+
+  /**
+   * Listen for changes to one job made in this process.
+   * listener(fields) receives the changed fields (status, progress, result, ...).
+   * @returns {function(): void} Unsubscribe
+   */
+  function subscribe(id, listener) {
+    const onUpdate = (jobId, fields) => {
+      if (jobId === id) listener(fields);
+    };
+    events.on('update', onUpdate);
+    return () => events.off('update', onUpdate);
+  }
+
+  async function runJob(job) {
+    const { handler, backoffMs } = handlers.get(job.type);
+    events.emit('update', job.id, {
+      status: 'running',
+      attempts: job.attempts,
+      updatedAt: job.updatedAt
+    });
+
+    // Keep the lock fresh for as long as the handler runs, so other workers
+    // can tell a long job from one whose process has died
+    const heartbeat = setInterval(() => {
+      driver.update(job.id, { lockedAt: Date.now() })
+        .catch(error => console.warn(`[Job Queue] Lock heartbeat for job ${job.id} failed:`, error.message));
+    }, LOCK_HEARTBEAT_MS);
+    heartbeat.unref();
+
+    let lastWrite = { stage: undefined, at: 0 };
+    const progress = async (fields) => {
+      const now = Date.now();
+      const update = { progress: fields, lockedAt: now, updatedAt: new Date(now).toISOString() };
+
+      if (fields?.stage !== lastWrite.stage || now - lastWrite.at >= PROGRESS_WRITE_INTERVAL_MS) {
+        lastWrite = { stage: fields?.stage, at: now };
+        await updateJob(job.id, update);
+      } else {
+        events.emit('update', job.id, update);
+      }
+    };
+
+    try {
+      const result = await handler(job, { progress });
+      const finished = await finishJob(job, {
+        status: 'succeeded',
+        result: result === undefined ? null : result,
+        lastError: null,
+        lockedBy: null,
+        finishedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      if (finished) console.log(`[Job Queue] ${job.type} job ${job.id} succeeded`);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      const retry = job.attempts < job.maxAttempts;
+      const delay = Math.min(backoffMs * Math.pow(2, job.attempts - 1), MAX_BACKOFF_MS);
+
+      const finished = await finishJob(job, {
+        status: retry ? 'queued' : 'failed',
+        runAt: retry ? Date.now() + delay : job.runAt,
+        lastError: message,
+        lockedBy: null,
+        finishedAt: retry ? null : new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+
+      if (finished && retry) {
+        console.warn(`[Job Queue] ${job.type} job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${message}`);
+      } else if (finished) {
+        console.error(`[Job Queue] ${job.type} job ${job.id} failed after ${job.attempts} attempts: ${message}`);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Claim ready jobs until every worker slot is busy
+   */
+  async function poll() {
+    if (polling) return;
+    polling = true;
+
+    try {
+      while (running < concurrency) {
+        const job = await driver.claimNext([...handlers.keys()], workerId, Date.now());
+        if (!job) break;
+
+        running++;
+        runJob(job)
+          .catch(error => console.error(`[Job Queue] Error finishing job ${job.id}:`, error))
+          .finally(() => {
+            running--;
+            setImmediate(poll);
+          });
+      }
+    } catch (error) {
+      console.error('[Job Queue] Poll failed:', error.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  /**
+   * Queue again any running jobs whose worker stopped refreshing the lock
+   */
+  async function recoverStale() {
+    try {
+      const count = await driver.requeueStale(Date.now());
+      if (count > 0) {
+        console.log(`[Job Queue] Re-queued ${count} jobs whose worker stopped responding`);
+        setImmediate(poll);
+      }
+    } catch (error) {
+      console.error('[Job Queue] Stale job recovery failed:', error.message);
+    }
+  }
+
+  /**
+   * Start polling for jobs, and checking for jobs abandoned by crashed
+   * workers (in this or another process) once per heartbeat
+   */
+  function start() {
+    if (timer) return;
+
+    recoverStale();
+    staleTimer = setInterval(recoverStale, LOCK_HEARTBEAT_MS);
+    staleTimer.unref();
+
+    timer = setInterval(poll, pollIntervalMs);
+    timer.unref();
+    console.log(`[Job Queue] Started ${driver.name} worker ${workerId} (concurrency ${concurrency})`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    clearInterval(staleTimer);
+    timer = null;
+    staleTimer = null;
+  }
+
+  return {
+    driver,
+    register,
+    enqueue,
+    getJob,
+    subscribe,
+    poll,
+    start,
+    stop
+  };
+}
+
+let defaultQueue = null;
+
+/**
+ * The process-wide queue: Firestore-backed when credentials are configured,
+ * otherwise in memory (override with JOB_QUEUE_DRIVER=memory|firestore)
+ */
+function getJobQueue() {
+  if (!defaultQueue) {
+    const driverName = process.env.JOB_QUEUE_DRIVER || (adminDb ? 'firestore' : 'memory');
+    const driver = driverName === 'memory' ? createMemoryDriver() : createFirestoreDriver(adminDb);
+    defaultQueue = createJobQueue({
+      driver,
+      concurrency: parseInt(process.env.JOB_CONCURRENCY || '', 10) || 2
+    });
+  }
+  return defaultQueue;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  createMemoryDriver,
+  createFirestoreDriver,
+  createJobQueue,
+  getJobQueue
+};
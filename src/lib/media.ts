@@ -10,6 +10,7 @@ export interface MediaSources {
 }
 
 export interface MediaOptions {
+  clipId?: string;        // Clip document ID; identifies the clip on its own
   startTime?: number;     // Start time in seconds
   endTime?: number;       // End time in seconds  
   quality?: 'auto' | 'low' | 'audio';
@@ -21,26 +22,30 @@ export interface MediaOptions {
  * These are stub endpoints that should be wired to your real HLS/audio infrastructure
  */
 export function getMediaSources(videoId: string, options: MediaOptions = {}): MediaSources {
-  const { startTime, endTime, quality = 'auto', format = 'hls' } = options;
+  const { clipId, startTime, endTime, quality = 'auto', format = 'hls' } = options;
   
-  // Build query parameters for time-based clipping
+  // A clip ID is resolved directly; a video ID needs the time range to tell
+  // its clips apart
+  const mediaId = clipId || videoId;
   const timeParams = new URLSearchParams();
-  if (startTime !== undefined) timeParams.set('start', startTime.toString());
-  if (endTime !== undefined) timeParams.set('end', endTime.toString());
+  if (!clipId) {
+    if (startTime !== undefined) timeParams.set('start', startTime.toString());
+    if (endTime !== undefined) timeParams.set('end', endTime.toString());
+  }
   const timeQuery = timeParams.toString() ? `?${timeParams.toString()}` : '';
   const timeQueryWithAmp = timeParams.toString() ? `&${timeParams.toString()}` : '';
 
   return {
     // HLS streams with adaptive bitrate
-    videoHlsAuto: `/api/video-hls/${videoId}${timeQuery}`,
-    videoHlsLow: `/api/video-hls/${videoId}?q=low${timeQueryWithAmp}`,
+    videoHlsAuto: `/api/video-hls/${mediaId}${timeQuery}`,
+    videoHlsLow: `/api/video-hls/${mediaId}?q=low${timeQueryWithAmp}`,
     
     // Audio-only option for maximum data saving
-    audioOnly: `/api/audio/${videoId}.mp3${timeQuery}`,
+    audioOnly: `/api/audio/${mediaId}.mp3${timeQuery}`,
     
     // Thumbnail/poster images
-    thumbnail: `/api/thumbnail/${videoId}.jpg`,
-    thumbnailLow: `/api/thumbnail/${videoId}.jpg?q=low`,
+    thumbnail: `/api/thumbnail/${mediaId}.jpg${timeQuery}`,
+    thumbnailLow: `/api/thumbnail/${mediaId}.jpg?q=low${timeQueryWithAmp}`,
   };
 }
 
@@ -131,8 +136,9 @@ export function getYouTubeMediaSources(videoId: string, options: MediaOptions =
  * Builds media source URLs for clip segments with start/end times
  * Optimized for testimony clips with specific time ranges
  */
-export function getClipMediaSources(videoId: string, startSec: number, endSec: number): MediaSources {
+export function getClipMediaSources(videoId: string, startSec: number, endSec: number, clipId?: string): MediaSources {
   return getMediaSources(videoId, {
+    clipId,
     startTime: startSec,
     endTime: endSec
   });
@@ -141,7 +147,7 @@ export function getClipMediaSources(videoId: string, startSec: number, endSec: n
 /**
  * Gets the appropriate thumbnail based on data saver preferences
  */
-export function getOptimalThumbnail(videoId: string): string {
+export function getOptimalThumbnail(videoId: string, options: MediaOptions = {}): string {
   let useDataSaver = false;
   
   if (typeof window !== 'undefined') {
@@ -153,7 +159,7 @@ export function getOptimalThumbnail(videoId: string): string {
     }
   }
   
-  const sources = getMediaSources(videoId);
+  const sources = getMediaSources(videoId, options);
   return useDataSaver ? sources.thumbnailLow : sources.thumbnail;
 }
 
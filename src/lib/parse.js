@@ -71,4 +71,14 @@ function parseTimeToSeconds(input) {
   return totalSeconds;
 }
 
-module.exports = { parseTimeToSeconds };
+/**
+ * Seconds from an FFmpeg progress timemark (HH:MM:SS.xx)
+ * @returns {number|null} null if the timemark is missing or malformed
+ */
+function parseTimemark(timemark) {
+  const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(timemark || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+module.exports = { parseTimeToSeconds, parseTimemark };
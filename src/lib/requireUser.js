@@ -0,0 +1,32 @@
+// Member authentication with Firebase ID tokens
+const { getAuth } = require('firebase-admin/auth');
+const { adminDb } = require('./firebase-admin');
+
+/**
+ * Verify a member's Firebase ID token
+ * @param {string|undefined} authHeader - Authorization header
+ * @returns {Promise<{uid: string, email: string|undefined}>} Signed-in member
+ * @throws {Error} If the token is missing or invalid
+ */
+async function requireUser(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new Error('Unauthorized: Missing auth token');
+  }
+
+  if (!adminDb) {
+    throw new Error('Firebase Admin not initialized');
+  }
+
+  const idToken = authHeader.slice('Bearer '.length);
+
+  let decoded;
+  try {
+    decoded = await getAuth().verifyIdToken(idToken);
+  } catch (error) {
+    throw new Error('Unauthorized: Invalid or expired token');
+  }
+
+  return { uid: decoded.uid, email: decoded.email };
+}
+
+module.exports = { requireUser };
@@ -0,0 +1,59 @@
+// Facet counts for search results
+const { matchesClipFilters } = require('./clip-query');
+const { normalizeLanguage, getClipSource, getServiceYear } = require('./clip-model');
+
+// Each facet reads a value from a clip DTO and names the filters that select it
+const FACETS = {
+  categoryId: { value: item => item.categoryId || null, filters: ['categoryId'] },
+  year: { value: item => getServiceYear(item), filters: ['year', 'month'] },
+  language: { value: item => normalizeLanguage(item.language), filters: ['language'] },
+  source: { value: item => getClipSource(item), filters: ['source'] }
+};
+
+/**
+ * Count matches per facet value. Each facet is counted with every selected
+ * filter applied except its own, so members can see how many results the
+ * other options in that facet would give.
+ * @param {object[]} items - Clip DTOs matching the query, before filtering
+ * @param {object} filters - Validated filters (see validateClipFilters)
+ * @param {Map<string, string>} categoryNames - categoryId -> display name
+ * @returns {Object<string, Array<{value: string, label: string, count: number, selected: boolean}>>}
+ */
+function computeFacets(items, filters, categoryNames = new Map()) {
+  const facets = {};
+
+  for (const [name, facet] of Object.entries(FACETS)) {
+    const otherFilters = { ...filters };
+    for (const key of facet.filters) delete otherFilters[key];
+
+    const counts = new Map();
+    for (const item of items) {
+      if (!matchesClipFilters(item, otherFilters)) continue;
+      const value = facet.value(item);
+      if (!value) continue;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+
+    const selected = name === 'language' && filters.language
+      ? normalizeLanguage(filters.language)
+      : filters[name];
+
+    facets[name] = [...counts.entries()]
+      .map(([value, count]) => ({
+        value,
+        label: name === 'categoryId' ? (categoryNames.get(value) || value) : value,
+        count,
+        selected: value === selected
+      }))
+      .sort((a, b) => name === 'year'
+        ? b.value.localeCompare(a.value)
+        : (b.count - a.count) || a.label.localeCompare(b.label));
+  }
+
+  return facets;
+}
+
+module.exports = {
+  FACETS,
+  computeFacets
+};
@@ -0,0 +1,242 @@
+// In-process full-text index over clips, rebuilt from Firestore on demand
+const { adminDb: db } = require('./firebase-admin');
+const { toClipDTO, isPublicClip } = require('./clip-model');
+const { tokenize } = require('./search-text');
+const { expandTerm } = require('./search-synonyms');
+
+// Weight of a synonym match relative to the word the member typed
+const SYNONYM_WEIGHT = 0.8;
+
+// Relative importance of each searchable field
+const FIELD_WEIGHTS = {
+  title: 4,
+  titleShort: 4,
+  categoryName: 2,
+  summaryShort: 2,
+  fullText: 1
+};
+
+const INDEX_TTL_MS = parseInt(process.env.SEARCH_INDEX_TTL_MS || '', 10) || 5 * 60 * 1000;
+
+let cachedIndex = null;
+let cachedAt = 0;
+let pendingBuild = null;
+
+/**
+ * Build an index from raw clip documents and a categoryId -> name map
+ */
+function buildIndex(clipDocs, categoryNames) {
+  const docs = [];
+  const postings = new Map(); // term -> Set of doc positions
+
+  for (const { id, data } of clipDocs) {
+    const dto = toClipDTO(id, data);
+    const categoryName = categoryNames.get(data.categoryId) || '';
+    const fields = {};
+
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      const text = field === 'categoryName' ? categoryName : String(data[field] || '');
+      const counts = new Map();
+      for (const term of tokenize(text)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+      fields[field] = { text, counts, length: Math.max(1, [...counts.values()].reduce((a, b) => a + b, 0)) };
+    }
+
+    const position = docs.length;
+    docs.push({ id, data, dto, categoryName, fields });
+
+    for (const field of Object.values(fields)) {
+      for (const term of field.counts.keys()) {
+        if (!postings.has(term)) postings.set(term, new Set());
+        postings.get(term).add(position);
+      }
+    }
+  }
+
+  return {
+    docs,
+    categoryNames,
+    postings,
+    sortedTerms: [...postings.keys()].sort(),
+    builtAt: Date.now()
+  };
+}
+
+/**
+ * Load every live clip and every category from Firestore and index them
+ */
+async function loadIndex() {
+  if (!db) {
+    throw new Error("Database not initialized");
+  }
+
+  const startTime = Date.now();
+  const [clipsSnapshot, categoriesSnapshot] = await Promise.all([
+    db.collection('clips').get(),
+    db.collection('categories').get()
+  ]);
+
+  const categoryNames = new Map(
+    categoriesSnapshot.docs.map(doc => [doc.id, doc.data().name || ''])
+  );
+  const clipDocs = clipsSnapshot.docs
+    .map(doc => ({ id: doc.id, data: doc.data() }))
+    .filter(({ data }) => isPublicClip(data));
+
+  const index = buildIndex(clipDocs, categoryNames);
+  console.log(`[Search Index] Indexed ${index.docs.length} clips and ${index.sortedTerms.length} terms in ${Date.now() - startTime}ms`);
+  return index;
+}
+
+/**
+ * Get the current search index, rebuilding it when stale
+ */
+async function getSearchIndex() {
+  if (cachedIndex && Date.now() - cachedAt < INDEX_TTL_MS) {
+    return cachedIndex;
+  }
+
+  // Share one rebuild between concurrent requests
+  if (!pendingBuild) {
+    pendingBuild = loadIndex()
+      .then(index => {
+        cachedIndex = index;
+        cachedAt = Date.now();
+        return index;
+      })
+      .finally(() => {
+        pendingBuild = null;
+      });
+  }
+
+  return pendingBuild;
+}
+
+/**
+ * Drop the cached index so the next search reloads clips (call after writes)
+ */
+function invalidateSearchIndex() {
+  cachedIndex = null;
+  cachedAt = 0;
+}
+
+/**
+ * List indexed terms starting with `prefix` (binary search over sorted terms)
+ */
+function findTermsWithPrefix(index, prefix, max = 50) {
+  const terms = index.sortedTerms;
+  let low = 0;
+  let high = terms.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (terms[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  const matches = [];
+  for (let i = low; i < terms.length && matches.length < max; i++) {
+    if (!terms[i].startsWith(prefix)) break;
+    matches.push(terms[i]);
+  }
+  return matches;
+}
+
+/**
+ * Rank indexed clips against a query string.
+ * The last query term also matches as a prefix so results update while typing,
+ * and with a synonym table each term also matches its Twi/English synonyms.
+ * Returns [{ doc, score, terms, prefixTerms }] sorted by score (desc) then id.
+ */
+function searchIndex(index, q, { synonyms } = {}) {
+  const queryTerms = [...new Set(tokenize(q))];
+  if (queryTerms.length === 0) return [];
+
+  const lastTerm = queryTerms[queryTerms.length - 1];
+  const prefixTerms = lastTerm.length >= 2 ? [lastTerm] : [];
+  const totalDocs = index.docs.length || 1;
+
+  // Expand each query term to the indexed terms it matches
+  const synonymTerms = new Set();
+  const expansions = queryTerms.map(term => {
+    const matches = [{ term, weight: 1 }];
+    if (prefixTerms.includes(term)) {
+      for (const candidate of findTermsWithPrefix(index, term)) {
+        if (candidate !== term) matches.push({ term: candidate, weight: 0.5 });
+      }
+    }
+    if (synonyms) {
+      for (const phrase of expandTerm(synonyms, term)) {
+        for (const synonym of tokenize(phrase)) {
+          if (matches.some(match => match.term === synonym)) continue;
+          matches.push({ term: synonym, weight: SYNONYM_WEIGHT });
+          synonymTerms.add(synonym);
+        }
+      }
+    }
+    return matches.filter(match => index.postings.has(match.term));
+  });
+  const highlightTerms = [...queryTerms, ...synonymTerms];
+
+  const candidates = new Set();
+  for (const matches of expansions) {
+    for (const { term } of matches) {
+      for (const position of index.postings.get(term)) candidates.add(position);
+    }
+  }
+
+  const normalizedPhrase = queryTerms.join(' ');
+  const results = [];
+
+  for (const position of candidates) {
+    const doc = index.docs[position];
+    let score = 0;
+    let matchedTerms = 0;
+
+    for (const matches of expansions) {
+      let termScore = 0;
+      for (const { term, weight } of matches) {
+        const idf = Math.log(1 + totalDocs / index.postings.get(term).size);
+        for (const [field, fieldWeight] of Object.entries(FIELD_WEIGHTS)) {
+          const count = doc.fields[field].counts.get(term);
+          if (count) {
+            // Dampen repeated mentions and long transcripts
+            const tf = (1 + Math.log(count)) / Math.sqrt(doc.fields[field].length);
+            termScore += fieldWeight * weight * idf * (1 + tf);
+          }
+        }
+      }
+      if (termScore > 0) matchedTerms++;
+      score += termScore;
+    }
+
+    if (score === 0) continue;
+
+    // Favour clips that match every term, and exact phrases in titles
+    score *= Math.pow(matchedTerms / queryTerms.length, 2);
+    if (queryTerms.length > 1) {
+      const titleTokens = tokenize(`${doc.fields.title.text} ${doc.fields.titleShort.text}`).join(' ');
+      if (titleTokens.includes(normalizedPhrase)) score *= 1.5;
+    }
+
+    results.push({
+      doc,
+      score: Math.round(score * 1000) / 1000,
+      terms: highlightTerms,
+      prefixTerms
+    });
+  }
+
+  results.sort((a, b) => (b.score - a.score) || (a.doc.id < b.doc.id ? -1 : a.doc.id > b.doc.id ? 1 : 0));
+  return results;
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  buildIndex,
+  getSearchIndex,
+  invalidateSearchIndex,
+  findTermsWithPrefix,
+  searchIndex
+};
@@ -0,0 +1,120 @@
+// Prefix index for search-as-you-type suggestions
+const { normalizeText } = require('./search-text');
+const { getSearchIndex } = require('./search-index');
+
+const TYPE_PRIORITY = { category: 3, concept: 2, title: 1 };
+
+let cachedSuggestIndex = null;
+
+/**
+ * Build the suggestion index from a search index (see search-index.js).
+ * Entries come from clip titles, category names and the concepts of
+ * pipe-separated multi-concept titles ("Cancer Healed | Visa Approved").
+ * Every word position of an entry is a key, so "appr" completes "Visa Approved".
+ */
+function buildSuggestIndex(searchIndex) {
+  const entries = new Map(); // "type:normalized text" -> entry
+
+  const addEntry = (text, type, extra = {}) => {
+    const display = String(text || '').trim();
+    const normalized = normalizeText(display);
+    if (!normalized || normalized.length < 2) return;
+
+    const key = `${type}:${normalized}`;
+    const existing = entries.get(key);
+    if (existing) {
+      existing.count++;
+    } else {
+      entries.set(key, { text: display, normalized, type, count: 1, ...extra });
+    }
+  };
+
+  const categoryIds = new Map();
+  for (const doc of searchIndex.docs) {
+    const title = doc.data.title || doc.data.titleShort;
+    if (title) {
+      if (title.includes(' | ')) {
+        for (const concept of title.split(' | ')) addEntry(concept, 'concept');
+      } else {
+        addEntry(title, 'title');
+      }
+    }
+    if (doc.categoryName && doc.data.categoryId) {
+      categoryIds.set(doc.categoryName, doc.data.categoryId);
+    }
+  }
+  for (const [name, categoryId] of categoryIds) {
+    addEntry(name, 'category', { categoryId });
+  }
+
+  const list = [...entries.values()];
+  const keys = [];
+  list.forEach((entry, position) => {
+    const words = entry.normalized.split(' ');
+    words.forEach((_, i) => {
+      keys.push([words.slice(i).join(' '), position, i === 0]);
+    });
+  });
+  keys.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+  return { entries: list, keys, builtAt: searchIndex.builtAt };
+}
+
+/**
+ * Get the suggestion index, rebuilt whenever the search index is rebuilt
+ * (on expiry or after clips change)
+ */
+async function getSuggestIndex() {
+  const searchIndex = await getSearchIndex();
+  if (!cachedSuggestIndex || cachedSuggestIndex.builtAt !== searchIndex.builtAt) {
+    cachedSuggestIndex = buildSuggestIndex(searchIndex);
+  }
+  return cachedSuggestIndex;
+}
+
+/**
+ * Return up to `limit` completions for a partial query
+ */
+function suggest(suggestIndex, q, limit = 8) {
+  const prefix = normalizeText(q);
+  if (!prefix) return [];
+
+  const { keys, entries } = suggestIndex;
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (keys[mid][0] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  const matches = new Map(); // entry position -> starts at first word
+  for (let i = low; i < keys.length && keys[i][0].startsWith(prefix); i++) {
+    const [, position, atStart] = keys[i];
+    matches.set(position, matches.get(position) || atStart);
+  }
+
+  // The same phrase can be both a concept and a title; show it once
+  const seen = new Set();
+  return [...matches.entries()]
+    .map(([position, atStart]) => ({ entry: entries[position], atStart }))
+    .sort((a, b) =>
+      (Number(b.atStart) - Number(a.atStart)) ||
+      (TYPE_PRIORITY[b.entry.type] - TYPE_PRIORITY[a.entry.type]) ||
+      (b.entry.count - a.entry.count) ||
+      (a.entry.text.length - b.entry.text.length))
+    .filter(({ entry }) => !seen.has(entry.normalized) && seen.add(entry.normalized))
+    .slice(0, limit)
+    .map(({ entry }) => ({
+      text: entry.text,
+      type: entry.type,
+      count: entry.count,
+      ...(entry.categoryId ? { categoryId: entry.categoryId } : {})
+    }));
+}
+
+module.exports = {
+  buildSuggestIndex,
+  getSuggestIndex,
+  suggest
+};
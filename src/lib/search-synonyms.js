@@ -0,0 +1,134 @@
+// Bilingual (Twi <-> English) synonym table used to expand search queries
+const { adminDb: db } = require('./firebase-admin');
+const { normalizeText } = require('./search-text');
+
+const TABLE_TTL_MS = 5 * 60 * 1000;
+
+// Starter dictionary, written to Firestore the first time an admin edits the table
+const DEFAULT_SYNONYMS = [
+  { term: 'ayaresa', language: 'Twi', concepts: ['healing', 'healed', 'heal'] },
+  { term: 'yareɛ', language: 'Twi', concepts: ['sickness', 'sick', 'disease', 'illness'] },
+  { term: 'apɔmuden', language: 'Twi', concepts: ['health'] },
+  { term: 'sika', language: 'Twi', concepts: ['money', 'financial', 'finances'] },
+  { term: 'adwuma', language: 'Twi', concepts: ['job', 'work', 'employment'] },
+  { term: 'adwadie', language: 'Twi', concepts: ['business', 'trade'] },
+  { term: 'awareɛ', language: 'Twi', concepts: ['marriage', 'married', 'wedding'] },
+  { term: 'abofra', language: 'Twi', concepts: ['child', 'baby'] },
+  { term: 'nyinsɛn', language: 'Twi', concepts: ['pregnancy', 'pregnant', 'conceive'] },
+  { term: 'awoɔ', language: 'Twi', concepts: ['birth', 'delivery'] },
+  { term: 'sukuu', language: 'Twi', concepts: ['school', 'education'] },
+  { term: 'efie', language: 'Twi', concepts: ['house', 'home'] },
+  { term: 'nkwagyeɛ', language: 'Twi', concepts: ['salvation'] },
+  { term: 'nkunim', language: 'Twi', concepts: ['victory'] },
+  { term: 'nhyira', language: 'Twi', concepts: ['blessing', 'blessed'] },
+  { term: 'adom', language: 'Twi', concepts: ['grace', 'favour', 'favor'] },
+  { term: 'mpaebɔ', language: 'Twi', concepts: ['prayer'] },
+  { term: 'anuonyam', language: 'Twi', concepts: ['glory'] },
+  { term: 'ayeyi', language: 'Twi', concepts: ['praise'] }
+];
+
+let cachedTable = null;
+let cachedAt = 0;
+
+/**
+ * Firestore document ID for a term (its normalized form)
+ */
+function getSynonymId(term) {
+  return normalizeText(term).replace(/ /g, '-');
+}
+
+/**
+ * Build a lookup from every normalized term or concept to the words it
+ * should also match. Mappings run both ways: "ayaresa" expands to
+ * "healing"/"healed"/"heal" and each of those expands back to "ayaresa".
+ */
+function buildSynonymTable(entries) {
+  const expansions = new Map();
+
+  const link = (from, to) => {
+    if (!from || from === to) return;
+    if (!expansions.has(from)) expansions.set(from, new Set());
+    expansions.get(from).add(to);
+  };
+
+  for (const entry of entries) {
+    const term = normalizeText(entry.term);
+    const concepts = (entry.concepts || []).map(normalizeText).filter(Boolean);
+    for (const concept of concepts) {
+      link(term, concept);
+      link(concept, term);
+    }
+  }
+
+  return { entries, expansions };
+}
+
+/**
+ * Words a query term should also match, as normalized (possibly multi-word) strings
+ */
+function expandTerm(table, term) {
+  return [...(table.expansions.get(normalizeText(term)) || [])];
+}
+
+/**
+ * Load the synonym table (defaults until an admin has saved any entries)
+ */
+async function getSynonymTable() {
+  if (cachedTable && Date.now() - cachedAt < TABLE_TTL_MS) {
+    return cachedTable;
+  }
+
+  let entries = DEFAULT_SYNONYMS;
+  if (db) {
+    const snapshot = await db.collection('searchSynonyms').get();
+    if (!snapshot.empty) {
+      entries = snapshot.docs.map(doc => doc.data());
+    }
+  }
+
+  cachedTable = buildSynonymTable(entries);
+  cachedAt = Date.now();
+  return cachedTable;
+}
+
+/**
+ * Drop the cached table (call after admins edit synonyms)
+ */
+function invalidateSynonymTable() {
+  cachedTable = null;
+  cachedAt = 0;
+}
+
+/**
+ * Copy the default dictionary into Firestore if the collection is empty, so
+ * the first admin edit extends the defaults instead of replacing them
+ */
+async function ensureSynonymsSeeded() {
+  if (!db) {
+    throw new Error('Firebase Admin not initialized');
+  }
+
+  const existing = await db.collection('searchSynonyms').limit(1).get();
+  if (!existing.empty) return false;
+
+  const batch = db.batch();
+  for (const entry of DEFAULT_SYNONYMS) {
+    batch.set(db.collection('searchSynonyms').doc(getSynonymId(entry.term)), {
+      ...entry,
+      updatedAt: new Date().toISOString(),
+      updatedBy: 'default'
+    });
+  }
+  await batch.commit();
+  return true;
+}
+
+module.exports = {
+  DEFAULT_SYNONYMS,
+  getSynonymId,
+  buildSynonymTable,
+  expandTerm,
+  getSynonymTable,
+  invalidateSynonymTable,
+  ensureSynonymsSeeded
+};
@@ -0,0 +1,138 @@
+// Text normalization, tokenization and highlighting for testimony search
+
+// Common words that carry no meaning for ranking testimonies
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'his', 'i', 'in', 'is', 'it', 'its',
+  'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their',
+  'them', 'they', 'this', 'to', 'was', 'we', 'were', 'with', 'you', 'your'
+]);
+
+// Twi letters folded onto their closest Latin letters so "awareɛ" matches "awaree"
+const TWI_LETTER_FOLDS = {
+  'ɛ': 'e',
+  'ɔ': 'o',
+  'ŋ': 'n'
+};
+
+/**
+ * Lowercase text, strip accents and tone marks, fold Twi letters (Ɛ/ɛ, Ɔ/ɔ)
+ * and collapse punctuation into single spaces
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[ɛɔŋ]/g, letter => TWI_LETTER_FOLDS[letter])
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into normalized search terms, dropping stop words
+ */
+function tokenize(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) return [];
+  return normalized.split(' ').filter(term => term && !STOP_WORDS.has(term));
+}
+
+/**
+ * Escape text for safe inclusion in an HTML snippet
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Find the character ranges of words in `text` whose normalized form
+ * equals (or, for prefix terms, starts with) one of the given terms
+ */
+function findMatchRanges(text, terms, prefixTerms = []) {
+  const ranges = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = wordPattern.exec(text)) !== null) {
+    const word = normalizeText(match[0]).replace(/ /g, '');
+    if (!word) continue;
+
+    const isMatch = terms.includes(word) || prefixTerms.some(prefix => word.startsWith(prefix));
+    if (isMatch) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Render `text` as HTML with matched ranges wrapped in <mark> tags
+ */
+function renderHighlighted(text, ranges) {
+  let html = '';
+  let position = 0;
+
+  for (const [start, end] of ranges) {
+    html += escapeHtml(text.slice(position, start));
+    html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  }
+
+  return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Build a highlighted snippet of at most `maxLength` characters centred on
+ * the first match. Returns null when nothing in the text matches.
+ */
+function buildSnippet(text, terms, prefixTerms = [], maxLength = 200) {
+  if (!text) return null;
+
+  const ranges = findMatchRanges(text, terms, prefixTerms);
+  if (ranges.length === 0) return null;
+
+  // Centre the window on the first match, snapping to word boundaries
+  let start = Math.max(0, ranges[0][0] - Math.floor(maxLength / 3));
+  let end = Math.min(text.length, start + maxLength);
+  start = Math.max(0, end - maxLength);
+
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < ranges[0][0]) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > ranges[0][1]) end = space;
+  }
+
+  const windowRanges = ranges
+    .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+    .map(([rangeStart, rangeEnd]) => [rangeStart - start, rangeEnd - start]);
+
+  const body = renderHighlighted(text.slice(start, end), windowRanges);
+  return `${start > 0 ? '…' : ''}${body}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Highlight every match in a short field such as a title
+ */
+function highlightText(text, terms, prefixTerms = []) {
+  if (!text) return '';
+  return renderHighlighted(text, findMatchRanges(text, terms, prefixTerms));
+}
+
+module.exports = {
+  STOP_WORDS,
+  normalizeText,
+  tokenize,
+  escapeHtml,
+  buildSnippet,
+  highlightText
+};
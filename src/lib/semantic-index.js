@@ -0,0 +1,162 @@
+// Embedding index over clips for "find testimonies like this" search
+const crypto = require('crypto');
+const { adminDb: db } = require('./firebase-admin');
+const { toClipDTO, isPublicClip } = require('./clip-model');
+const { getEmbeddingProvider, cosineSimilarity } = require('./embeddings');
+
+const INDEX_TTL_MS = parseInt(process.env.SEARCH_INDEX_TTL_MS || '', 10) || 5 * 60 * 1000;
+const EMBED_BATCH_SIZE = 50;
+const MAX_EMBED_CHARS = 6000;
+
+let cachedIndex = null;
+let cachedAt = 0;
+let pendingBuild = null;
+
+/**
+ * Text that represents a clip's meaning: its title, summary and transcript
+ */
+function getEmbeddingText(data) {
+  return [data.title || data.titleShort, data.summaryShort, data.fullText]
+    .filter(Boolean)
+    .join('. ')
+    .slice(0, MAX_EMBED_CHARS);
+}
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Load clips, reuse stored vectors whose text is unchanged and embed the rest.
+ * Vectors from remote providers are persisted in `clipEmbeddings` so they are
+ * only paid for once; local vectors are cheap and recomputed on each build.
+ */
+async function loadSemanticIndex(provider) {
+  if (!db) {
+    throw new Error("Database not initialized");
+  }
+
+  const startTime = Date.now();
+  const persist = provider.name !== 'local';
+
+  const [clipsSnapshot, embeddingsSnapshot] = await Promise.all([
+    db.collection('clips').get(),
+    persist ? db.collection('clipEmbeddings').get() : Promise.resolve({ docs: [] })
+  ]);
+
+  const stored = new Map(embeddingsSnapshot.docs.map(doc => [doc.id, doc.data()]));
+  const entries = [];
+  const missing = [];
+
+  for (const doc of clipsSnapshot.docs) {
+    const data = doc.data();
+    if (!isPublicClip(data)) continue;
+
+    const text = getEmbeddingText(data);
+    if (!text) continue;
+
+    const textHash = hashText(text);
+    const entry = { id: doc.id, dto: toClipDTO(doc.id, data), vector: null };
+    const existing = stored.get(doc.id);
+
+    if (existing && existing.textHash === textHash &&
+        existing.provider === provider.name && existing.model === provider.model) {
+      entry.vector = existing.vector;
+    } else {
+      missing.push({ entry, text, textHash });
+    }
+    entries.push(entry);
+  }
+
+  for (let i = 0; i < missing.length; i += EMBED_BATCH_SIZE) {
+    const chunk = missing.slice(i, i + EMBED_BATCH_SIZE);
+    const vectors = await provider.embed(chunk.map(item => item.text));
+    const batch = persist ? db.batch() : null;
+
+    chunk.forEach((item, j) => {
+      item.entry.vector = vectors[j];
+      if (batch) {
+        batch.set(db.collection('clipEmbeddings').doc(item.entry.id), {
+          vector: vectors[j],
+          provider: provider.name,
+          model: provider.model,
+          textHash: item.textHash,
+          updatedAt: new Date().toISOString()
+        });
+      }
+    });
+
+    if (batch) await batch.commit();
+  }
+
+  console.log(`[Semantic Index] Indexed ${entries.length} clips (${missing.length} embedded) with ${provider.name} in ${Date.now() - startTime}ms`);
+  return { entries, provider, builtAt: Date.now() };
+}
+
+/**
+ * Get the semantic index, rebuilding it when stale
+ */
+async function getSemanticIndex() {
+  if (cachedIndex && Date.now() - cachedAt < INDEX_TTL_MS) {
+    return cachedIndex;
+  }
+
+  if (!pendingBuild) {
+    pendingBuild = loadSemanticIndex(getEmbeddingProvider())
+      .then(index => {
+        cachedIndex = index;
+        cachedAt = Date.now();
+        return index;
+      })
+      .finally(() => {
+        pendingBuild = null;
+      });
+  }
+
+  return pendingBuild;
+}
+
+/**
+ * Drop the cached semantic index (call after clips change)
+ */
+function invalidateSemanticIndex() {
+  cachedIndex = null;
+  cachedAt = 0;
+}
+
+/**
+ * Rank indexed clips by similarity to a vector
+ * @returns {Array<{entry, score}>} Sorted by score (desc) then id
+ */
+function rankByVector(index, vector, { excludeId } = {}) {
+  return index.entries
+    .filter(entry => entry.id !== excludeId && entry.vector)
+    .map(entry => ({ entry, score: Math.round(cosineSimilarity(vector, entry.vector) * 10000) / 10000 }))
+    .filter(({ score }) => score >= index.provider.minScore)
+    .sort((a, b) => (b.score - a.score) || (a.entry.id < b.entry.id ? -1 : a.entry.id > b.entry.id ? 1 : 0));
+}
+
+/**
+ * Rank clips by semantic similarity to free text
+ */
+async function semanticSearch(index, q) {
+  const [vector] = await index.provider.embed([q]);
+  return rankByVector(index, vector);
+}
+
+/**
+ * Find clips similar to an existing clip (empty when the clip has no text)
+ */
+function findSimilarClips(index, clipId) {
+  const source = index.entries.find(entry => entry.id === clipId);
+  if (!source) return [];
+  return rankByVector(index, source.vector, { excludeId: clipId });
+}
+
+module.exports = {
+  getEmbeddingText,
+  getSemanticIndex,
+  invalidateSemanticIndex,
+  semanticSearch,
+  findSimilarClips
+};
@@ -0,0 +1,169 @@
+// On-disk cache of downloaded source videos, so clips cut from the same
+// episode share one download
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const CACHE_DIR = process.env.SOURCE_CACHE_DIR || path.join(os.tmpdir(), 'source-videos');
+
+// Least recently used videos are removed once the cache grows past this
+const CACHE_MAX_BYTES = (parseInt(process.env.SOURCE_CACHE_MAX_MB || '', 10) || 2048) * 1024 * 1024;
+
+// videoId -> { path, size, lastUsed, users }
+const entries = new Map();
+
+// videoId -> { promise, listeners } for downloads in progress
+const pending = new Map();
+
+let loaded = null;
+
+// Downloads are written under this suffix and renamed when complete, so a
+// partial file is never cut from (it keeps the .mp4 extension for yt-dlp)
+const PARTIAL_SUFFIX = '.download.mp4';
+
+function getCachePath(videoId) {
+  return path.join(CACHE_DIR, `${videoId}.mp4`);
+}
+
+/**
+ * Pick up videos left in the cache directory by a previous process
+ */
+async function loadCache() {
+  if (!loaded) {
+    loaded = (async () => {
+      await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+
+      for (const file of await fs.promises.readdir(CACHE_DIR)) {
+        const filePath = path.join(CACHE_DIR, file);
+
+        // Partial downloads from an interrupted process are useless
+        if (file.endsWith(PARTIAL_SUFFIX)) {
+          await fs.promises.unlink(filePath).catch(() => {});
+          continue;
+        }
+        if (!file.endsWith('.mp4')) continue;
+
+        const stats = await fs.promises.stat(filePath);
+        entries.set(path.basename(file, '.mp4'), {
+          path: filePath,
+          size: stats.size,
+          lastUsed: stats.mtimeMs,
+          users: 0
+        });
+      }
+    })();
+  }
+  return loaded;
+}
+
+function getCacheSize() {
+  let total = 0;
+  for (const entry of entries.values()) total += entry.size;
+  return total;
+}
+
+/**
+ * Remove least recently used videos nobody is cutting from until the cache
+ * fits its size limit
+ */
+async function evictSourceVideos() {
+  const idle = [...entries.entries()]
+    .filter(([, entry]) => entry.users === 0)
+    .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+  let total = getCacheSize();
+  for (const [videoId, entry] of idle) {
+    if (total <= CACHE_MAX_BYTES) break;
+
+    entries.delete(videoId);
+    total -= entry.size;
+    await fs.promises.unlink(entry.path).catch(() => {});
+    console.log(`🗑️ Evicted cached source video ${videoId} (${(entry.size / 1024 / 1024).toFixed(2)} MB)`);
+  }
+}
+
+/**
+ * Get a local copy of a source video, downloading it only if no cached copy
+ * exists and no other job is already fetching it. The file stays on disk until
+ * release() is called, so eviction never removes a video that is being cut.
+ * @param {string} videoId
+ * @param {function(string, function(number): void): Promise<void>} download - Writes the
+ *   video to the given path, reporting percent done
+ * @param {object} [options]
+ * @param {function(number): void} [options.onPercent] - Download progress, also when
+ *   joining a download started by another job
+ * @returns {Promise<{path: string, cached: boolean, release: function(): Promise<void>}>}
+ */
+async function acquireSourceVideo(videoId, download, { onPercent } = {}) {
+  await loadCache();
+
+  let cached = entries.has(videoId);
+  if (cached) {
+    console.log(`📦 Using cached source video ${videoId}`);
+  }
+
+  // Loop in case another job's release evicts the new download before this
+  // job marks it as in use
+  while (!entries.has(videoId)) {
+    let current = pending.get(videoId);
+
+    if (!current) {
+      const listeners = new Set();
+      const partPath = path.join(CACHE_DIR, `${videoId}${PARTIAL_SUFFIX}`);
+
+      const promise = (async () => {
+        try {
+          await download(partPath, percent => listeners.forEach(listener => listener(percent)));
+          await fs.promises.rename(partPath, getCachePath(videoId));
+          const stats = await fs.promises.stat(getCachePath(videoId));
+          entries.set(videoId, { path: getCachePath(videoId), size: stats.size, lastUsed: Date.now(), users: 0 });
+          console.log(`📦 Cached source video ${videoId} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
+        } catch (error) {
+          await fs.promises.unlink(partPath).catch(() => {});
+          throw error;
+        } finally {
+          pending.delete(videoId);
+        }
+      })();
+
+      current = { promise, listeners };
+      pending.set(videoId, current);
+    } else {
+      console.log(`⏳ Waiting for download of ${videoId} started by another job`);
+    }
+
+    if (onPercent) current.listeners.add(onPercent);
+    try {
+      await current.promise;
+    } finally {
+      if (onPercent) current.listeners.delete(onPercent);
+    }
+  }
+
+  const entry = entries.get(videoId);
+  entry.users++;
+  entry.lastUsed = Date.now();
+
+  // Make room for the new video now that it is protected from eviction
+  if (!cached) {
+    await evictSourceVideos();
+  }
+
+  let released = false;
+  return {
+    path: entry.path,
+    cached,
+    release: async () => {
+      if (released) return;
+      released = true;
+      entry.users--;
+      entry.lastUsed = Date.now();
+      await evictSourceVideos();
+    }
+  };
+}
+
+module.exports = {
+  acquireSourceVideo,
+  evictSourceVideos
+};
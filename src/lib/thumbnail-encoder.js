@@ -0,0 +1,69 @@
+// Poster frames for processed clips, taken from the clip itself rather than
+// the episode's YouTube thumbnail
+const ffmpeg = require('fluent-ffmpeg');
+
+// Widths of the full and data-saver thumbnails, and their JPEG quality
+// (FFmpeg's -q:v, 2 best to 31 worst)
+const THUMBNAIL_SIZES = {
+  full: { width: 640, quality: 3 },
+  low: { width: 320, quality: 8 }
+};
+
+// The opening seconds are often a cut or a fade, so frames are picked from
+// this far into the clip
+const THUMBNAIL_OFFSET_RATIO = 0.3;
+
+// Frames the thumbnail filter compares to find the most representative one
+const THUMBNAIL_CANDIDATE_FRAMES = 60;
+
+function runFfmpeg(command, label) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', () => resolve())
+      .on('error', (error, stdout, stderr) => {
+        console.error(`FFmpeg ${label} error:`, error.message);
+        console.error('FFmpeg stderr:', stderr);
+        reject(new Error(`Thumbnail extraction failed: ${error.message}`));
+      })
+      .run();
+  });
+}
+
+/**
+ * Grab a representative frame of a clip as full and low-quality JPEGs
+ * @param {string} inputPath - Trimmed clip
+ * @param {{full: string, low: string}} outputPaths - JPEGs to write
+ * @param {object} options
+ * @param {number} options.duration - Clip length in seconds
+ */
+async function extractThumbnails(inputPath, outputPaths, { duration }) {
+  const { full, low } = THUMBNAIL_SIZES;
+
+  await runFfmpeg(
+    ffmpeg(inputPath)
+      .seekInput(Math.max(0, duration * THUMBNAIL_OFFSET_RATIO))
+      .output(outputPaths.full)
+      .outputOptions([
+        '-vf', `thumbnail=${THUMBNAIL_CANDIDATE_FRAMES},scale=${full.width}:-2`,
+        '-frames:v', '1',
+        '-q:v', String(full.quality)
+      ]),
+    'thumbnail'
+  );
+
+  // Scale the chosen frame down rather than picking again, so both sizes match
+  await runFfmpeg(
+    ffmpeg(outputPaths.full)
+      .output(outputPaths.low)
+      .outputOptions([
+        '-vf', `scale=${low.width}:-2`,
+        '-q:v', String(low.quality)
+      ]),
+    'low thumbnail'
+  );
+}
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  extractThumbnails
+};
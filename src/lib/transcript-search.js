@@ -0,0 +1,203 @@
+// Phrase search over stored transcript segments, mapped back to clips
+const { adminDb: db } = require('./firebase-admin');
+const { toClipDTO, isPublicClip } = require('./clip-model');
+const { normalizeText, buildSnippet, escapeHtml } = require('./search-text');
+
+const INDEX_TTL_MS = parseInt(process.env.SEARCH_INDEX_TTL_MS || '', 10) || 5 * 60 * 1000;
+
+// Terms of a non-phrase match must all fall within this many words
+const PROXIMITY_WINDOW = 20;
+const MAX_HITS = 1000;
+
+let cachedIndex = null;
+let cachedAt = 0;
+let pendingBuild = null;
+
+/**
+ * Flatten one transcript into a word list that remembers each word's segment
+ */
+function indexTranscript(videoId, segments, clips) {
+  const words = [];
+  const wordSegment = [];
+
+  segments.forEach((segment, segmentIndex) => {
+    for (const word of normalizeText(segment.text).split(' ')) {
+      if (!word) continue;
+      words.push(word);
+      wordSegment.push(segmentIndex);
+    }
+  });
+
+  return {
+    videoId,
+    segments,
+    words,
+    wordSegment,
+    vocabulary: new Set(words),
+    clips: clips.sort((a, b) => a.startSec - b.startSec)
+  };
+}
+
+/**
+ * Load every stored transcript plus the clips cut from each video
+ */
+async function loadTranscriptIndex() {
+  if (!db) {
+    throw new Error("Database not initialized");
+  }
+
+  const startTime = Date.now();
+  const [transcriptsSnapshot, clipsSnapshot] = await Promise.all([
+    db.collection('transcripts').get(),
+    db.collection('clips').get()
+  ]);
+
+  const clipsByVideo = new Map();
+  for (const doc of clipsSnapshot.docs) {
+    if (!isPublicClip(doc.data())) continue;
+    const dto = toClipDTO(doc.id, doc.data());
+    if (!dto.videoId) continue;
+    if (!clipsByVideo.has(dto.videoId)) clipsByVideo.set(dto.videoId, []);
+    clipsByVideo.get(dto.videoId).push(dto);
+  }
+
+  const videos = transcriptsSnapshot.docs.map(doc => {
+    const data = doc.data();
+    const videoId = data.videoId || doc.id;
+    return indexTranscript(videoId, data.segments || [], clipsByVideo.get(videoId) || []);
+  });
+
+  console.log(`[Transcript Search] Indexed ${videos.length} transcripts in ${Date.now() - startTime}ms`);
+  return { videos, builtAt: Date.now() };
+}
+
+/**
+ * Get the transcript index, rebuilding it when stale
+ */
+async function getTranscriptIndex() {
+  if (cachedIndex && Date.now() - cachedAt < INDEX_TTL_MS) {
+    return cachedIndex;
+  }
+
+  if (!pendingBuild) {
+    pendingBuild = loadTranscriptIndex()
+      .then(index => {
+        cachedIndex = index;
+        cachedAt = Date.now();
+        return index;
+      })
+      .finally(() => {
+        pendingBuild = null;
+      });
+  }
+
+  return pendingBuild;
+}
+
+/**
+ * Drop the cached transcript index (call after transcripts or clips change)
+ */
+function invalidateTranscriptIndex() {
+  cachedIndex = null;
+  cachedAt = 0;
+}
+
+/**
+ * Find word positions where the query terms appear as an exact phrase
+ */
+function findPhrasePositions(video, terms) {
+  const positions = [];
+  for (let i = 0; i + terms.length <= video.words.length; i++) {
+    if (terms.every((term, offset) => video.words[i + offset] === term)) {
+      positions.push(i);
+    }
+  }
+  return positions;
+}
+
+/**
+ * Find word positions where every query term appears within a short window
+ */
+function findProximityPositions(video, terms) {
+  const positions = [];
+  for (let i = 0; i < video.words.length; i++) {
+    if (video.words[i] !== terms[0]) continue;
+    const window = video.words.slice(Math.max(0, i - PROXIMITY_WINDOW), i + PROXIMITY_WINDOW);
+    if (terms.every(term => window.includes(term))) {
+      positions.push(i);
+      i += PROXIMITY_WINDOW; // One hit per window
+    }
+  }
+  return positions;
+}
+
+/**
+ * Search transcripts for a phrase. Exact phrase hits rank above hits where
+ * the words only appear near each other.
+ * @returns {Array<{videoId, clipId, clip, secondsOffset, clipSecondsOffset, snippet, exact}>}
+ */
+function searchTranscripts(index, q) {
+  const terms = normalizeText(q).split(' ').filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const hits = [];
+
+  for (const video of index.videos) {
+    if (!terms.every(term => video.vocabulary.has(term))) continue;
+
+    let positions = findPhrasePositions(video, terms);
+    const exact = positions.length > 0;
+    if (!exact && terms.length > 1) {
+      positions = findProximityPositions(video, terms);
+    }
+
+    for (const position of positions) {
+      const segmentIndex = video.wordSegment[position];
+      const segment = video.segments[segmentIndex];
+      const secondsOffset = segment.start;
+
+      // Include the next segment so phrases spanning a caption break still show
+      const nextSegment = video.segments[segmentIndex + 1];
+      const context = nextSegment ? `${segment.text} ${nextSegment.text}` : segment.text;
+
+      const clip = video.clips.find(c => c.startSec <= secondsOffset && secondsOffset < c.endSec) || null;
+
+      hits.push({
+        videoId: video.videoId,
+        clipId: clip ? clip.id : null,
+        clip,
+        secondsOffset,
+        clipSecondsOffset: clip ? secondsOffset - clip.startSec : null,
+        // Word index in the video's transcript; tells apart hits in the same second
+        position,
+        snippet: buildSnippet(context, terms) || escapeHtml(context.slice(0, 200)),
+        exact
+      });
+
+      if (hits.length >= MAX_HITS) break;
+    }
+
+    if (hits.length >= MAX_HITS) break;
+  }
+
+  return hits.sort(compareTranscriptHits);
+}
+
+/**
+ * Order hits: exact phrases first, then clip-linked hits, then by video, time
+ * and word position, so no two hits compare equal and cursors are exact
+ */
+function compareTranscriptHits(a, b) {
+  if (a.exact !== b.exact) return a.exact ? -1 : 1;
+  if (!!a.clipId !== !!b.clipId) return a.clipId ? -1 : 1;
+  if (a.videoId !== b.videoId) return a.videoId < b.videoId ? -1 : 1;
+  if (a.secondsOffset !== b.secondsOffset) return a.secondsOffset - b.secondsOffset;
+  return a.position - b.position;
+}
+
+module.exports = {
+  getTranscriptIndex,
+  invalidateTranscriptIndex,
+  searchTranscripts,
+  compareTranscriptHits
+};
@@ -0,0 +1,87 @@
+// Timestamped episode transcripts stored per video in Firestore
+const { adminDb: db } = require('./firebase-admin');
+
+// Matches the [MM:SS] / [HH:MM:SS] markers written by getRealTranscript
+const MARKER_PATTERN = /\[(?:(\d{1,2}):)?(\d{1,3}):(\d{2})\]/g;
+
+/**
+ * Parse a transcript with [MM:SS] or [HH:MM:SS] markers into segments
+ * @param {string} transcript - Transcript text as produced by getRealTranscript
+ * @returns {Array<{start: number, text: string}>} Segments ordered by start second
+ */
+function parseTranscriptSegments(transcript) {
+  const text = String(transcript || '');
+  const markers = [...text.matchAll(MARKER_PATTERN)];
+  const segments = [];
+
+  markers.forEach((marker, i) => {
+    const hours = marker[1] ? parseInt(marker[1], 10) : 0;
+    const minutes = parseInt(marker[2], 10);
+    const seconds = parseInt(marker[3], 10);
+    if (seconds >= 60) return;
+
+    const bodyStart = marker.index + marker[0].length;
+    const bodyEnd = i + 1 < markers.length ? markers[i + 1].index : text.length;
+    const body = text.slice(bodyStart, bodyEnd).replace(/\s+/g, ' ').trim();
+    if (!body) return;
+
+    segments.push({ start: hours * 3600 + minutes * 60 + seconds, text: body });
+  });
+
+  return segments.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Store transcript segments for a video (one document per video)
+ * @param {string} videoId - YouTube video ID
+ * @param {string|Array<{start: number, text: string}>} transcript - Marker text or parsed segments
+ * @param {{language?: string, source?: string}} options
+ * @returns {Promise<{videoId: string, segmentCount: number}>}
+ */
+async function saveTranscript(videoId, transcript, options = {}) {
+  if (!db) {
+    throw new Error('Firebase Admin not initialized');
+  }
+
+  const segments = Array.isArray(transcript)
+    ? transcript
+        .map(segment => ({ start: Math.floor(segment.start), text: String(segment.text).replace(/\s+/g, ' ').trim() }))
+        .sort((a, b) => a.start - b.start)
+    : parseTranscriptSegments(transcript);
+  if (segments.length === 0) {
+    throw new Error('Transcript has no [MM:SS] timestamped segments');
+  }
+
+  await db.collection('transcripts').doc(videoId).set({
+    videoId,
+    language: options.language || 'English',
+    source: options.source || 'captions',
+    segments,
+    segmentCount: segments.length,
+    lastSegmentStart: segments[segments.length - 1].start,
+    updatedAt: new Date().toISOString()
+  });
+
+  console.log(`📝 Saved ${segments.length} transcript segments for video ${videoId}`);
+  return { videoId, segmentCount: segments.length };
+}
+
+/**
+ * Load stored transcript segments for a video
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<object|null>} Transcript document or null if none stored
+ */
+async function getTranscript(videoId) {
+  if (!db) {
+    throw new Error('Firebase Admin not initialized');
+  }
+
+  const doc = await db.collection('transcripts').doc(videoId).get();
+  return doc.exists ? doc.data() : null;
+}
+
+module.exports = {
+  parseTranscriptSegments,
+  saveTranscript,
+  getTranscript
+};
@@ -0,0 +1,153 @@
+// Vertical 9:16 cut of a clip for WhatsApp Status, Reels and TikTok: the
+// speaker in a square crop over a blurred fill, the clip title above and the
+// logo in the corner. The crop is not face-tracked: it is centred unless an
+// admin sets the clip's verticalFocusX.
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { parseTimemark } = require('./parse');
+
+const VERTICAL_WIDTH = 1080;
+const VERTICAL_HEIGHT = 1920;
+
+// Square foreground, placed a little above centre to leave room for the title
+const FOREGROUND_SIZE = VERTICAL_WIDTH;
+const FOREGROUND_TOP = 480;
+
+// Title block above the foreground
+const TITLE_TOP = 180;
+const TITLE_FONT_SIZE = 64;
+const TITLE_LINE_CHARS = 24;
+const TITLE_MAX_LINES = 3;
+
+// Watermark width and distance from the bottom-right corner
+const LOGO_WIDTH = 200;
+const LOGO_MARGIN = 60;
+
+// Font for the title; the default ships with fonts-dejavu-core
+const FONT_FILE = process.env.VERTICAL_FONT_FILE || '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf';
+
+// PNG watermark (source in assets/vertical-logo.svg); set VERTICAL_LOGO_PATH
+// to "none" to render the cut unbranded
+const DEFAULT_LOGO_PATH = path.join(__dirname, '..', 'assets', 'vertical-logo.png');
+const LOGO_PATH = process.env.VERTICAL_LOGO_PATH === 'none' ? '' : process.env.VERTICAL_LOGO_PATH || DEFAULT_LOGO_PATH;
+
+/**
+ * Wrap a title into at most TITLE_MAX_LINES lines, ending in an ellipsis if
+ * it does not fit
+ */
+function wrapTitle(title) {
+  const lines = [];
+  let current = '';
+
+  for (const word of String(title || '').trim().split(/\s+/).filter(Boolean)) {
+    if (current && current.length + 1 + word.length > TITLE_LINE_CHARS) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) lines.push(current);
+
+  if (lines.length > TITLE_MAX_LINES) {
+    lines.length = TITLE_MAX_LINES;
+    lines[TITLE_MAX_LINES - 1] = `${lines[TITLE_MAX_LINES - 1].replace(/[\s.,;:!?]+$/, '')}…`;
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Escape a path for use as a value inside an FFmpeg filter
+ */
+function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
+
+/**
+ * Render the vertical cut of a clip
+ * @param {string} inputPath - Trimmed clip
+ * @param {string} outputPath - MP4 to write
+ * @param {object} options
+ * @param {number} options.duration - Clip length in seconds, for progress
+ * @param {string} [options.title] - Drawn above the picture
+ * @param {number} [options.focusX] - Horizontal position of the square crop, 0 (left edge)
+ *   to 1 (right edge); 0.5 keeps the centre. Set by hand for an off-centre speaker.
+ * @param {string} [options.titlePath] - Scratch file for the wrapped title
+ * @param {function(number): void} [options.onPercent] - Encoding progress, 0-100
+ * @returns {Promise<{width: number, height: number}>}
+ */
+async function encodeVertical(inputPath, outputPath, { duration, title = '', focusX = 0.5, titlePath, onPercent = () => {} }) {
+  const focus = Number.isFinite(focusX) ? Math.min(1, Math.max(0, focusX)) : 0.5;
+
+  const filters = [
+    '[0:v]split=2[bg][fg]',
+    `[bg]scale=${VERTICAL_WIDTH}:${VERTICAL_HEIGHT}:force_original_aspect_ratio=increase,` +
+      `crop=${VERTICAL_WIDTH}:${VERTICAL_HEIGHT},boxblur=20:2[blurred]`,
+    `[fg]crop='min(iw,ih)':'min(iw,ih)':'(iw-ow)*${focus}':'(ih-oh)/2',` +
+      `scale=${FOREGROUND_SIZE}:${FOREGROUND_SIZE},setsar=1[square]`,
+    `[blurred][square]overlay=(W-w)/2:${FOREGROUND_TOP}[framed]`
+  ];
+  let lastLabel = 'framed';
+
+  // drawtext reads the title from a file so it needs no filter escaping
+  const wrappedTitle = wrapTitle(title);
+  if (wrappedTitle && titlePath) {
+    await fs.promises.writeFile(titlePath, wrappedTitle);
+    filters.push(
+      `[${lastLabel}]drawtext=fontfile='${escapeFilterPath(FONT_FILE)}':textfile='${escapeFilterPath(titlePath)}':expansion=none:` +
+      `fontsize=${TITLE_FONT_SIZE}:fontcolor=white:line_spacing=16:borderw=3:bordercolor=black@0.6:` +
+      `x=(w-text_w)/2:y=${TITLE_TOP}[titled]`
+    );
+    lastLabel = 'titled';
+  }
+
+  const withLogo = Boolean(LOGO_PATH) && fs.existsSync(LOGO_PATH);
+  if (LOGO_PATH && !withLogo) {
+    console.warn(`⚠️ Logo not found at ${LOGO_PATH}, rendering vertical cut without watermark`);
+  }
+  if (withLogo) {
+    filters.push(
+      `[1:v]scale=${LOGO_WIDTH}:-1,format=rgba,colorchannelmixer=aa=0.85[logo]`,
+      `[${lastLabel}][logo]overlay=W-w-${LOGO_MARGIN}:H-h-${LOGO_MARGIN}[branded]`
+    );
+    lastLabel = 'branded';
+  }
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    if (withLogo) command.input(LOGO_PATH);
+
+    command
+      .complexFilter(filters)
+      .output(outputPath)
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .outputOptions([
+        '-map', `[${lastLabel}]`,
+        '-map', '0:a?',
+        '-preset', 'fast',
+        '-crf', '23',
+        '-b:a', '128k',
+        '-pix_fmt', 'yuv420p',
+        '-movflags', '+faststart'
+      ])
+      .on('progress', (progress) => {
+        const seconds = parseTimemark(progress.timemark);
+        if (seconds !== null && duration > 0) {
+          onPercent((seconds / duration) * 100);
+        }
+      })
+      .on('end', () => resolve({ width: VERTICAL_WIDTH, height: VERTICAL_HEIGHT }))
+      .on('error', (error, stdout, stderr) => {
+        console.error('FFmpeg vertical error:', error.message);
+        console.error('FFmpeg stderr:', stderr);
+        reject(new Error(`Vertical encoding failed: ${error.message}`));
+      })
+      .run();
+  });
+}
+
+module.exports = {
+  encodeVertical
+};
@@ -3,10 +3,31 @@ const ffmpeg = require('fluent-ffmpeg');
 const ffmpegStatic = require('ffmpeg-static');
 const { getStorage } = require('firebase-admin/storage');
 const { adminDb } = require('./firebase-admin');
+const { acquireSourceVideo } = require('./source-cache');
+const { encodeHlsLadder } = require('./hls-encoder');
+const { encodeAudio } = require('./audio-encoder');
+const { extractThumbnails } = require('./thumbnail-encoder');
+const { toWebVTT, toSRT, burnInCaptions } = require('./captions');
+const { encodeVertical } = require('./vertical-encoder');
+const { parseTimemark } = require('./parse');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
+// Bucket processed clips are uploaded to
+const STORAGE_BUCKET = 'ah-testimony-library.firebasestorage.app';
+
+// Content types for files uploaded alongside a clip
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mp3': 'audio/mpeg',
+  '.jpg': 'image/jpeg',
+  '.vtt': 'text/vtt',
+  '.srt': 'application/x-subrip',
+  '.mp4': 'video/mp4'
+};
+
 // Set FFmpeg path
 if (ffmpeg && ffmpegStatic) {
   console.log('Raw ffmpegStatic path:', ffmpegStatic);
@@ -30,6 +51,29 @@ if (ffmpeg && ffmpegStatic) {
   console.log('FFmpeg path set to:', ffmpegPath);
 }
 
+/**
+ * Wrap an onProgress callback so each stage/percent pair is reported once and
+ * a failing listener never breaks processing
+ */
+function createProgressReporter(onProgress) {
+  let lastKey = null;
+
+  return (stage, percent = null, extra = {}) => {
+    if (!onProgress) return;
+
+    const rounded = percent === null ? null : Math.min(100, Math.max(0, Math.round(percent)));
+    const key = JSON.stringify([stage, rounded, extra]);
+    if (key === lastKey) return;
+    lastKey = key;
+
+    try {
+      onProgress({ stage, percent: rounded, ...extra });
+    } catch (error) {
+      console.warn('Progress listener error:', error.message);
+    }
+  };
+}
+
 // Extract video ID from YouTube URL
 function extractVideoId(url) {
   const regex = /(?:https?:\/\/)?(?:www\.)?(?:youtube\.com\/(?:[^\/\n\s]+\/\S+\/|(?:v|e(?:mbed)?)\/|\S*?[?&]v=)|youtu\.be\/)([a-zA-Z0-9_-]{11})/;
@@ -39,45 +83,219 @@ function extractVideoId(url) {
 
 /**
  * Download and clip video from YouTube, then upload to Firebase Storage
+ * @param {string} youtubeUrl
+ * @param {number} startTime - Seconds
+ * @param {number} endTime - Seconds
+ * @param {object} [options]
+ * @param {function({stage: string, percent: number|null}): void} [options.onProgress] - Called as the
+ *   downloading, trimming and uploading stages advance
+ * @param {boolean} [options.vertical] - Also render and upload the 1080x1920 social cut
+ * @param {string} [options.title] - Title drawn on the vertical cut
+ * @param {number} [options.focusX] - Horizontal crop position of the vertical cut, 0-1
+ * @returns {Promise<{publicUrl: string, vertical: object|null}>}
+ */
+async function processVideoAndUpload(youtubeUrl, startTime, endTime, { onProgress, vertical = false, title, focusX } = {}) {
+  const [segment] = await processVideoSegmentsAndUpload(youtubeUrl, [{ startTime, endTime, title, focusX }], {
+    // A single clip needs no segment numbers
+    onProgress: onProgress && (({ stage, percent }) => onProgress({ stage, percent })),
+    vertical
+  });
+
+  if (segment.error) {
+    throw segment.error;
+  }
+  return { publicUrl: segment.publicUrl, vertical: segment.vertical };
+}
+
+/**
+ * Cut several clips from one YouTube video and upload each to Firebase
+ * Storage. The video is downloaded once through the source-video cache, so
+ * clips of the same episode share the download even across calls. A clip that
+ * fails to trim or upload does not stop the others; a failed download rejects.
+ * @param {string} youtubeUrl
+ * @param {Array<{startTime: number, endTime: number, cues?: Array<{start: number, end: number, text: string}>, title?: string, focusX?: number}>} segments -
+ *   Seconds, with optional caption cues in segment seconds and the title and crop position of
+ *   the vertical cut
+ * @param {object} [options]
+ * @param {function({stage: string, percent: number|null, segment?: number, segments?: number}): void} [options.onProgress] -
+ *   Called as the download and then each segment's trimming and uploading advance
+ * @param {boolean} [options.hls] - Also encode and upload an HLS ladder for each segment
+ * @param {boolean} [options.audio] - Also extract and upload an MP3 of each segment
+ * @param {boolean} [options.thumbnails] - Also grab and upload full and low-quality thumbnails
+ *   of each segment
+ * @param {boolean} [options.captions] - Also upload WebVTT and SRT files of segments with cues
+ * @param {boolean} [options.burnCaptions] - With captions, also upload a copy of the clip with
+ *   the captions drawn on
+ * @param {boolean} [options.vertical] - Also render and upload a 1080x1920 cut of each segment.
+ *   Rendition failures are logged and leave `hls` / `audio` / `thumbnail` / `captions` /
+ *   `vertical` null rather than failing the segment.
+ * @returns {Promise<Array<{startTime: number, endTime: number, publicUrl?: string, hls?: object|null, audio?: object|null, thumbnail?: object|null, captions?: object|null, vertical?: object|null, error?: Error}>>}
+ *   One entry per segment, in order
  */
-async function processVideoAndUpload(youtubeUrl, startTime, endTime) {
-  console.log(`🎬 Starting video processing for ${youtubeUrl} from ${startTime}s to ${endTime}s`);
-  console.log('📊 Debug: Function called with times:', { startTime, endTime, duration: endTime - startTime });
+async function processVideoSegmentsAndUpload(youtubeUrl, segments, {
+  onProgress,
+  hls = false,
+  audio = false,
+  thumbnails = false,
+  captions = false,
+  burnCaptions = false,
+  vertical = false
+} = {}) {
+  console.log(`🎬 Starting video processing for ${youtubeUrl}: ${segments.length} segment(s)`);
 
   const videoId = extractVideoId(youtubeUrl);
   if (!videoId) {
     throw new Error('Invalid YouTube URL format');
   }
 
-  // Create temporary directories
+  // Working directory for the trimmed clips
   const tempDir = os.tmpdir();
   const workingDir = path.join(tempDir, `video_${videoId}_${Date.now()}`);
   await fs.promises.mkdir(workingDir, { recursive: true });
 
-  const originalVideoPath = path.join(workingDir, 'original.mp4');
-  const clippedVideoPath = path.join(workingDir, 'clipped.mp4');
+  const reportProgress = createProgressReporter(onProgress);
+  let source = null;
 
   try {
-    // Step A: Get Video Stream and Download
-    console.log('📥 Downloading video from YouTube...');
-    console.log('📊 Debug: Temp paths:', { originalVideoPath, clippedVideoPath });
-    await downloadVideoFile(youtubeUrl, originalVideoPath);
+    // Step A: Download the source video, or reuse the cached copy
+    console.log('📥 Fetching source video...');
+    reportProgress('downloading', 0);
+    source = await acquireSourceVideo(
+      videoId,
+      (outputPath, onPercent) => downloadVideoFile(youtubeUrl, outputPath, onPercent),
+      { onPercent: percent => reportProgress('downloading', percent) }
+    );
+    reportProgress('downloading', 100);
+
+    const results = [];
+    for (const [index, { startTime, endTime, cues = [], title, focusX }] of segments.entries()) {
+      const segmentInfo = { segment: index + 1, segments: segments.length };
+      const clippedVideoPath = path.join(workingDir, `clipped_${index}.mp4`);
+      const hlsDir = path.join(workingDir, `hls_${index}`);
+      const audioPath = path.join(workingDir, `audio_${index}.mp3`);
+      const thumbnailPaths = {
+        full: path.join(workingDir, `thumb_${index}.jpg`),
+        low: path.join(workingDir, `thumb_low_${index}.jpg`)
+      };
+      const captionPaths = {
+        vtt: path.join(workingDir, `captions_${index}.vtt`),
+        srt: path.join(workingDir, `captions_${index}.srt`),
+        burnedIn: path.join(workingDir, `captioned_${index}.mp4`)
+      };
+      const verticalPaths = {
+        video: path.join(workingDir, `vertical_${index}.mp4`),
+        title: path.join(workingDir, `vertical_title_${index}.txt`)
+      };
+
+      try {
+        // Step B: Trim the Video using FFmpeg
+        console.log(`✂️ Trimming video from ${startTime}s to ${endTime}s...`);
+        reportProgress('trimming', 0, segmentInfo);
+        const dimensions = await trimVideo(source.path, clippedVideoPath, startTime, endTime, percent => reportProgress('trimming', percent, segmentInfo));
+
+        // Step C & D: Upload to Firebase Storage and get public URL
+        console.log('☁️ Uploading clip to Firebase Storage...');
+        reportProgress('uploading', 0, segmentInfo);
+        const publicUrl = await uploadToFirebaseStorage(clippedVideoPath, videoId, startTime, endTime, percent => reportProgress('uploading', percent, segmentInfo));
+        reportProgress('uploading', 100, segmentInfo);
+
+        let hlsRenditions = null;
+        if (hls) {
+          try {
+            hlsRenditions = await createHlsRenditions(clippedVideoPath, hlsDir, publicUrl, {
+              duration: endTime - startTime,
+              source: dimensions,
+              reportProgress: (stage, percent) => reportProgress(stage, percent, segmentInfo)
+            });
+          } catch (error) {
+            console.error(`⚠️ HLS renditions for ${startTime}s-${endTime}s failed:`, error.message);
+          }
+        }
 
-    // Step B: Trim the Video using FFmpeg
-    console.log(`✂️ Trimming video from ${startTime}s to ${endTime}s...`);
-    await trimVideo(originalVideoPath, clippedVideoPath, startTime, endTime);
+        let audioRendition = null;
+        if (audio) {
+          try {
+            audioRendition = await createAudioRendition(clippedVideoPath, audioPath, publicUrl, {
+              duration: endTime - startTime,
+              reportProgress: (stage, percent) => reportProgress(stage, percent, segmentInfo)
+            });
+          } catch (error) {
+            console.error(`⚠️ Audio rendition for ${startTime}s-${endTime}s failed:`, error.message);
+          }
+        }
 
-    // Step C & D: Upload to Firebase Storage and get public URL
-    console.log('☁️ Uploading clip to Firebase Storage...');
-    const publicUrl = await uploadToFirebaseStorage(clippedVideoPath, videoId, startTime, endTime);
+        let thumbnail = null;
+        if (thumbnails) {
+          try {
+            reportProgress('thumbnail', null, segmentInfo);
+            thumbnail = await createThumbnails(clippedVideoPath, thumbnailPaths, publicUrl, {
+              duration: endTime - startTime
+            });
+          } catch (error) {
+            console.error(`⚠️ Thumbnails for ${startTime}s-${endTime}s failed:`, error.message);
+          }
+        }
 
-    console.log(`✅ Video processing complete. Public URL: ${publicUrl}`);
-    return publicUrl;
+        let captionFiles = null;
+        if (captions && cues.length > 0) {
+          try {
+            captionFiles = await createCaptions(clippedVideoPath, cues, captionPaths, publicUrl, {
+              duration: endTime - startTime,
+              burnIn: burnCaptions,
+              reportProgress: (stage, percent) => reportProgress(stage, percent, segmentInfo)
+            });
+          } catch (error) {
+            console.error(`⚠️ Captions for ${startTime}s-${endTime}s failed:`, error.message);
+          }
+        }
+
+        let verticalCut = null;
+        if (vertical) {
+          try {
+            verticalCut = await createVerticalCut(clippedVideoPath, verticalPaths, publicUrl, {
+              duration: endTime - startTime,
+              title,
+              focusX,
+              reportProgress: (stage, percent) => reportProgress(stage, percent, segmentInfo)
+            });
+          } catch (error) {
+            console.error(`⚠️ Vertical cut for ${startTime}s-${endTime}s failed:`, error.message);
+          }
+        }
+
+        console.log(`✅ Segment ${startTime}s-${endTime}s complete. Public URL: ${publicUrl}`);
+        results.push({
+          startTime,
+          endTime,
+          publicUrl,
+          hls: hlsRenditions,
+          audio: audioRendition,
+          thumbnail,
+          captions: captionFiles,
+          vertical: verticalCut
+        });
+      } catch (error) {
+        console.error(`❌ Segment ${startTime}s-${endTime}s failed:`, error.message);
+        results.push({ startTime, endTime, error });
+      } finally {
+        await fs.promises.unlink(clippedVideoPath).catch(() => {});
+        await fs.promises.rm(hlsDir, { recursive: true, force: true }).catch(() => {});
+        await fs.promises.unlink(audioPath).catch(() => {});
+        await Promise.all([...Object.values(thumbnailPaths), ...Object.values(captionPaths), ...Object.values(verticalPaths)]
+          .map(file => fs.promises.unlink(file).catch(() => {})));
+      }
+    }
+
+    return results;
 
   } catch (error) {
     console.error('❌ Video processing error:', error);
     throw error;
   } finally {
+    if (source) {
+      await source.release();
+    }
+
     // Step E: Cleanup temporary files
     console.log('🧹 Cleaning up temporary files...');
     try {
@@ -88,23 +306,173 @@ async function processVideoAndUpload(youtubeUrl, startTime, endTime) {
   }
 }
 
+/**
+ * Encode an uploaded clip into an HLS ladder and upload it to the clip's
+ * rendition folder in Storage
+ * @param {string} clipPath - Trimmed clip on disk
+ * @param {string} outputDir - Scratch directory for the playlists and segments
+ * @param {string} publicUrl - Public URL of the uploaded mp4
+ * @returns {Promise<{masterUrl: string, renditions: Array<{name: string, width: number|null, height: number, bandwidth: number, url: string}>}|null>}
+ *   null when HLS_RENDITIONS disables HLS
+ */
+async function createHlsRenditions(clipPath, outputDir, publicUrl, { duration, source, reportProgress }) {
+  console.log('📺 Encoding HLS renditions...');
+  reportProgress('encoding-hls', 0);
+  const ladder = await encodeHlsLadder(clipPath, outputDir, {
+    duration,
+    source,
+    onPercent: percent => reportProgress('encoding-hls', percent)
+  });
+  if (!ladder) return null;
+
+  console.log('☁️ Uploading HLS renditions...');
+  reportProgress('uploading-hls', 0);
+  const baseUrl = await uploadDirectoryToFirebaseStorage(
+    outputDir,
+    `${getRenditionFolder(getStoragePath(publicUrl))}hls/`,
+    percent => reportProgress('uploading-hls', percent)
+  );
+  reportProgress('uploading-hls', 100);
+
+  return {
+    masterUrl: `${baseUrl}${ladder.master}`,
+    renditions: ladder.renditions.map(({ playlist, ...rendition }) => ({
+      ...rendition,
+      url: `${baseUrl}${playlist}`
+    }))
+  };
+}
+
+/**
+ * Extract a clip's audio track and upload it to the clip's rendition folder
+ * @param {string} clipPath - Trimmed clip on disk
+ * @param {string} outputPath - Scratch path for the MP3
+ * @param {string} publicUrl - Public URL of the uploaded mp4
+ * @returns {Promise<{url: string, contentType: string, bitrateKbps: number, size: number}>}
+ */
+async function createAudioRendition(clipPath, outputPath, publicUrl, { duration, reportProgress }) {
+  console.log('🎧 Extracting audio rendition...');
+  reportProgress('encoding-audio', 0);
+  const { bitrateKbps } = await encodeAudio(clipPath, outputPath, {
+    duration,
+    onPercent: percent => reportProgress('encoding-audio', percent)
+  });
+
+  console.log('☁️ Uploading audio rendition...');
+  reportProgress('uploading-audio', 0);
+  const url = await uploadFileToFirebaseStorage(
+    outputPath,
+    `${getRenditionFolder(getStoragePath(publicUrl))}audio.mp3`
+  );
+  reportProgress('uploading-audio', 100);
+
+  const { size } = await fs.promises.stat(outputPath);
+  return { url, contentType: CONTENT_TYPES['.mp3'], bitrateKbps, size };
+}
+
+/**
+ * Grab a clip's thumbnails and upload them to the clip's rendition folder
+ * @param {string} clipPath - Trimmed clip on disk
+ * @param {{full: string, low: string}} outputPaths - Scratch paths for the JPEGs
+ * @param {string} publicUrl - Public URL of the uploaded mp4
+ * @returns {Promise<{url: string, lowUrl: string}>}
+ */
+async function createThumbnails(clipPath, outputPaths, publicUrl, { duration }) {
+  console.log('🖼️ Extracting thumbnails...');
+  await extractThumbnails(clipPath, outputPaths, { duration });
+
+  const folder = getRenditionFolder(getStoragePath(publicUrl));
+  return {
+    url: await uploadFileToFirebaseStorage(outputPaths.full, `${folder}thumb.jpg`),
+    lowUrl: await uploadFileToFirebaseStorage(outputPaths.low, `${folder}thumb_low.jpg`)
+  };
+}
+
+/**
+ * Write a clip's captions as WebVTT and SRT, optionally render a copy of the
+ * clip with them burned in, and upload the files to the clip's rendition folder
+ * @param {string} clipPath - Trimmed clip on disk
+ * @param {Array<{start: number, end: number, text: string}>} cues - In clip seconds
+ * @param {{vtt: string, srt: string, burnedIn: string}} outputPaths - Scratch paths
+ * @param {string} publicUrl - Public URL of the uploaded mp4
+ * @returns {Promise<{vttUrl: string, srtUrl: string, cueCount: number, burnedInUrl: string|null}>}
+ */
+async function createCaptions(clipPath, cues, outputPaths, publicUrl, { duration, burnIn, reportProgress }) {
+  console.log(`💬 Writing ${cues.length} caption cues...`);
+  await fs.promises.writeFile(outputPaths.vtt, toWebVTT(cues));
+  await fs.promises.writeFile(outputPaths.srt, toSRT(cues));
+
+  const folder = getRenditionFolder(getStoragePath(publicUrl));
+  const vttUrl = await uploadFileToFirebaseStorage(outputPaths.vtt, `${folder}captions.vtt`);
+  const srtUrl = await uploadFileToFirebaseStorage(outputPaths.srt, `${folder}captions.srt`);
+
+  let burnedInUrl = null;
+  if (burnIn) {
+    console.log('💬 Burning in captions...');
+    reportProgress('captioning', 0);
+    await burnInCaptions(clipPath, outputPaths.srt, outputPaths.burnedIn, {
+      duration,
+      onPercent: percent => reportProgress('captioning', percent)
+    });
+    reportProgress('uploading-captioned', null);
+    burnedInUrl = await uploadFileToFirebaseStorage(outputPaths.burnedIn, `${folder}captioned.mp4`);
+  }
+
+  return { vttUrl, srtUrl, cueCount: cues.length, burnedInUrl };
+}
+
+/**
+ * Render a clip's vertical social cut and upload it to the clip's rendition folder
+ * @param {string} clipPath - Trimmed clip on disk
+ * @param {{video: string, title: string}} outputPaths - Scratch paths
+ * @param {string} publicUrl - Public URL of the uploaded mp4
+ * @returns {Promise<{url: string, width: number, height: number}>}
+ */
+async function createVerticalCut(clipPath, outputPaths, publicUrl, { duration, title, focusX, reportProgress }) {
+  console.log('📱 Rendering vertical cut...');
+  reportProgress('encoding-vertical', 0);
+  const { width, height } = await encodeVertical(clipPath, outputPaths.video, {
+    duration,
+    title,
+    focusX,
+    titlePath: outputPaths.title,
+    onPercent: percent => reportProgress('encoding-vertical', percent)
+  });
+
+  reportProgress('uploading-vertical', null);
+  const url = await uploadFileToFirebaseStorage(
+    outputPaths.video,
+    `${getRenditionFolder(getStoragePath(publicUrl))}vertical.mp4`
+  );
+  return { url, width, height };
+}
+
 /**
  * Download video file from YouTube URL
+ * @param {function(number): void} [onPercent] - Download progress, 0-100
  */
-async function downloadVideoFile(youtubeUrl, outputPath) {
+async function downloadVideoFile(youtubeUrl, outputPath, onPercent = () => {}) {
   // Try ytdl-core first, fallback to yt-dlp if it fails
   try {
-    await downloadWithYtdlCore(youtubeUrl, outputPath);
+    await downloadWithYtdlCore(youtubeUrl, outputPath, onPercent);
   } catch (error) {
     console.log('📉 ytdl-core failed, trying yt-dlp fallback...');
-    await downloadWithYtDlp(youtubeUrl, outputPath);
+    await downloadWithYtDlp(youtubeUrl, outputPath, onPercent);
   }
 }
 
+/**
+ * Pull the percentage out of a yt-dlp "[download]  42.1% of ..." line
+ */
+function parseYtDlpPercent(output) {
+  const matches = [...output.matchAll(/\[download\]\s+([\d.]+)%/g)];
+  return matches.length > 0 ? parseFloat(matches[matches.length - 1][1]) : null;
+}
+
 /**
  * Download using ytdl-core
  */
-async function downloadWithYtdlCore(youtubeUrl, outputPath) {
+async function downloadWithYtdlCore(youtubeUrl, outputPath, onPercent = () => {}) {
   return new Promise((resolve, reject) => {
     try {
       const videoId = extractVideoId(youtubeUrl);
@@ -140,6 +508,7 @@ async function downloadWithYtdlCore(youtubeUrl, outputPath) {
       stream.on('progress', (chunkLength, downloaded, total) => {
         downloadedBytes = downloaded;
         const percent = ((downloaded / total) * 100).toFixed(2);
+        onPercent(parseFloat(percent));
         if (parseInt(percent) % 10 === 0) {
           console.log(`📥 Download progress: ${percent}%`);
         }
@@ -172,20 +541,20 @@ async function downloadWithYtdlCore(youtubeUrl, outputPath) {
 /**
  * Download using yt-dlp as fallback
  */
-async function downloadWithYtDlp(youtubeUrl, outputPath) {
+async function downloadWithYtDlp(youtubeUrl, outputPath, onPercent = () => {}) {
   // Try with cookies first, then fallback without cookies
   try {
-    await downloadWithYtDlpCookies(youtubeUrl, outputPath);
+    await downloadWithYtDlpCookies(youtubeUrl, outputPath, onPercent);
   } catch (error) {
     console.log('🍪 Cookie-based download failed, trying without cookies...');
-    await downloadWithYtDlpNoCookies(youtubeUrl, outputPath);
+    await downloadWithYtDlpNoCookies(youtubeUrl, outputPath, onPercent);
   }
 }
 
 /**
  * Download using yt-dlp with cookie support for age-restricted videos
  */
-async function downloadWithYtDlpCookies(youtubeUrl, outputPath) {
+async function downloadWithYtDlpCookies(youtubeUrl, outputPath, onPercent = () => {}) {
   const { spawn } = require('child_process');
 
   return new Promise((resolve, reject) => {
@@ -234,7 +603,10 @@ async function downloadWithYtDlpCookies(youtubeUrl, outputPath) {
       let stderr = '';
 
       ytDlp.stdout.on('data', (data) => {
-        console.log(`yt-dlp: ${data.toString().trim()}`);
+        const output = data.toString();
+        const percent = parseYtDlpPercent(output);
+        if (percent !== null) onPercent(percent);
+        console.log(`yt-dlp: ${output.trim()}`);
       });
 
       ytDlp.stderr.on('data', (data) => {
@@ -274,7 +646,7 @@ async function downloadWithYtDlpCookies(youtubeUrl, outputPath) {
 /**
  * Download using yt-dlp without cookies as fallback
  */
-async function downloadWithYtDlpNoCookies(youtubeUrl, outputPath) {
+async function downloadWithYtDlpNoCookies(youtubeUrl, outputPath, onPercent = () => {}) {
   const { spawn } = require('child_process');
 
   return new Promise((resolve, reject) => {
@@ -321,7 +693,10 @@ async function downloadWithYtDlpNoCookies(youtubeUrl, outputPath) {
       let stderr = '';
 
       ytDlp.stdout.on('data', (data) => {
-        console.log(`yt-dlp: ${data.toString().trim()}`);
+        const output = data.toString();
+        const percent = parseYtDlpPercent(output);
+        if (percent !== null) onPercent(percent);
+        console.log(`yt-dlp: ${output.trim()}`);
       });
 
       ytDlp.stderr.on('data', (data) => {
@@ -360,10 +735,13 @@ async function downloadWithYtDlpNoCookies(youtubeUrl, outputPath) {
 
 /**
  * Trim video using FFmpeg
+ * @param {function(number): void} [onPercent] - Encoding progress through the clip, 0-100
+ * @returns {Promise<{width: number, height: number}|null>} Dimensions of the source video, if FFmpeg reported them
  */
-async function trimVideo(inputPath, outputPath, startTime, endTime) {
+async function trimVideo(inputPath, outputPath, startTime, endTime, onPercent = () => {}) {
   return new Promise((resolve, reject) => {
     const duration = endTime - startTime;
+    let dimensions = null;
 
     console.log(`⏱️ Trimming ${duration} seconds of video...`);
 
@@ -382,7 +760,20 @@ async function trimVideo(inputPath, outputPath, startTime, endTime) {
         console.log('🎬 FFmpeg command started');
         console.log('Command:', commandLine);
       })
+      .on('codecData', (data) => {
+        // e.g. "h264 (Main) (avc1 / 0x31637661), yuv420p, 640x360"
+        const match = /(\d{2,5})x(\d{2,5})/.exec(data.video || '');
+        if (match) {
+          dimensions = { width: parseInt(match[1], 10), height: parseInt(match[2], 10) };
+        }
+      })
       .on('progress', (progress) => {
+        // progress.percent is relative to the whole input; the timemark
+        // tells how far into the trimmed clip the encoder is
+        const encodedSeconds = parseTimemark(progress.timemark);
+        if (encodedSeconds !== null && duration > 0) {
+          onPercent((encodedSeconds / duration) * 100);
+        }
         if (progress.percent) {
           console.log(`✂️ Processing: ${Math.round(progress.percent)}% done`);
         }
@@ -392,7 +783,7 @@ async function trimVideo(inputPath, outputPath, startTime, endTime) {
         const stats = fs.statSync(outputPath);
         const fileSizeMB = (stats.size / 1024 / 1024).toFixed(2);
         console.log(`✅ Video trimming completed: ${fileSizeMB} MB`);
-        resolve();
+        resolve(dimensions);
       })
       .on('error', (error, stdout, stderr) => {
         console.error('FFmpeg error:', error.message);
@@ -405,15 +796,16 @@ async function trimVideo(inputPath, outputPath, startTime, endTime) {
 
 /**
  * Upload video file to Firebase Storage and return public URL
+ * @param {function(number): void} [onPercent] - Bytes sent as a percentage of the file
  */
-async function uploadToFirebaseStorage(filePath, videoId, startTime, endTime) {
+async function uploadToFirebaseStorage(filePath, videoId, startTime, endTime, onPercent = () => {}) {
   try {
     if (!adminDb) {
       throw new Error('Firebase Admin not initialized');
     }
 
     const storage = getStorage();
-    const bucket = storage.bucket('ah-testimony-library.firebasestorage.app');
+    const bucket = storage.bucket(STORAGE_BUCKET);
 
     // Check file size
     const stats = fs.statSync(filePath);
@@ -440,6 +832,11 @@ async function uploadToFirebaseStorage(filePath, videoId, startTime, endTime) {
       },
       public: true, // Make the file publicly accessible
       validation: 'crc32c',
+      onUploadProgress: (event) => {
+        if (event.bytesWritten && stats.size > 0) {
+          onPercent((event.bytesWritten / stats.size) * 100);
+        }
+      },
     });
 
     // Get public URL
@@ -454,23 +851,178 @@ async function uploadToFirebaseStorage(filePath, videoId, startTime, endTime) {
   }
 }
 
+/**
+ * Upload one file to Firebase Storage and make it public, with the content
+ * type taken from its extension
+ * @returns {Promise<string>} Public URL
+ */
+async function uploadFileToFirebaseStorage(filePath, destination) {
+  if (!adminDb) {
+    throw new Error('Firebase Admin not initialized');
+  }
+
+  const bucket = getStorage().bucket(STORAGE_BUCKET);
+  await bucket.upload(filePath, {
+    destination,
+    metadata: {
+      contentType: CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream'
+    },
+    public: true,
+    validation: 'crc32c'
+  });
+  return `https://storage.googleapis.com/${bucket.name}/${destination}`;
+}
+
+/**
+ * Upload every file under a local directory to Firebase Storage, keeping the
+ * relative paths, and make them public
+ * @param {function(number): void} [onPercent] - Files uploaded as a percentage of the total
+ * @returns {Promise<string>} Public URL of the destination prefix
+ */
+async function uploadDirectoryToFirebaseStorage(localDir, destinationPrefix, onPercent = () => {}) {
+  const files = (await fs.promises.readdir(localDir, { recursive: true, withFileTypes: true }))
+    .filter(entry => entry.isFile())
+    .map(entry => path.join(entry.parentPath || entry.path, entry.name));
+
+  for (const [index, filePath] of files.entries()) {
+    const relativePath = path.relative(localDir, filePath).split(path.sep).join('/');
+    await uploadFileToFirebaseStorage(filePath, `${destinationPrefix}${relativePath}`);
+    onPercent(((index + 1) / files.length) * 100);
+  }
+
+  console.log(`✅ Uploaded ${files.length} file(s) to ${destinationPrefix}`);
+  return `https://storage.googleapis.com/${STORAGE_BUCKET}/${destinationPrefix}`;
+}
+
+/**
+ * Object path in our bucket for one of its public URLs
+ * @returns {string|null} null for URLs outside our bucket
+ */
+function getStoragePath(publicUrl) {
+  const prefix = `https://storage.googleapis.com/${STORAGE_BUCKET}/`;
+  if (!publicUrl || !publicUrl.startsWith(prefix)) {
+    return null;
+  }
+  return decodeURIComponent(publicUrl.slice(prefix.length));
+}
+
+/**
+ * Storage file behind one of our public URLs, for reading it back
+ * @returns {import('@google-cloud/storage').File|null} null for URLs outside our bucket
+ */
+function getStorageFile(publicUrl) {
+  const fileName = getStoragePath(publicUrl);
+  if (!fileName) {
+    return null;
+  }
+
+  if (!adminDb) {
+    throw new Error('Firebase Admin not initialized');
+  }
+
+  return getStorage().bucket(STORAGE_BUCKET).file(fileName);
+}
+
+/**
+ * Folder holding a clip's other renditions (HLS, audio, thumbnails, captions and so on),
+ * named after its mp4
+ */
+function getRenditionFolder(fileName) {
+  return `${fileName.replace(/\.mp4$/, '')}/`;
+}
+
+/**
+ * Delete an uploaded clip, and any renditions stored next to it, from Firebase
+ * Storage given the public URL returned by uploadToFirebaseStorage. URLs
+ * outside our bucket are left alone.
+ * @returns {Promise<boolean>} True if the URL pointed at our bucket
+ */
+async function deleteFromFirebaseStorage(publicUrl) {
+  const fileName = getStoragePath(publicUrl);
+  if (!fileName) {
+    return false;
+  }
+
+  if (!adminDb) {
+    throw new Error('Firebase Admin not initialized');
+  }
+
+  const bucket = getStorage().bucket(STORAGE_BUCKET);
+  await bucket.file(fileName).delete({ ignoreNotFound: true });
+  await bucket.deleteFiles({ prefix: getRenditionFolder(fileName) });
+  console.log(`🗑️ Deleted storage object: ${fileName}`);
+  return true;
+}
+
+/**
+ * Public URLs of every file an extraction stored for a clip
+ */
+function getClipFileUrls(clip) {
+  return [
+    clip.processedClipUrl,
+    clip.hls?.masterUrl,
+    ...(clip.hls?.renditions || []).map(rendition => rendition.url),
+    clip.audio?.url,
+    clip.thumbUrl,
+    clip.thumbLowUrl,
+    clip.captions?.vttUrl,
+    clip.captions?.srtUrl,
+    clip.captions?.burnedInUrl,
+    clip.verticalUrl
+  ].filter(Boolean);
+}
+
+/**
+ * Delete everything an extraction stored for a clip: its mp4, the rendition
+ * folder next to it, and any rendition URL on the clip that lies outside that
+ * folder (HLS playlists are removed with their segments). URLs outside our
+ * bucket are left alone.
+ * @param {object} clip - Clip data with processedClipUrl and the rendition fields
+ * @returns {Promise<boolean>} True if any of the clip's files were in our bucket
+ */
+async function deleteClipFromFirebaseStorage(clip) {
+  const fileNames = getClipFileUrls(clip).map(getStoragePath).filter(Boolean);
+  if (fileNames.length === 0) {
+    return false;
+  }
+
+  if (!adminDb) {
+    throw new Error('Firebase Admin not initialized');
+  }
+
+  const bucket = getStorage().bucket(STORAGE_BUCKET);
+  const clipFileName = getStoragePath(clip.processedClipUrl);
+  const clipFolder = clipFileName ? getRenditionFolder(clipFileName) : null;
+  if (clipFileName) {
+    await deleteFromFirebaseStorage(clip.processedClipUrl);
+  }
+
+  const hlsFileName = getStoragePath(clip.hls?.masterUrl);
+  const hlsFolder = hlsFileName ? `${path.posix.dirname(hlsFileName)}/` : null;
+  if (hlsFolder && !(clipFolder && hlsFolder.startsWith(clipFolder))) {
+    await bucket.deleteFiles({ prefix: hlsFolder });
+  }
+
+  const strays = fileNames.filter(fileName =>
+    fileName !== clipFileName &&
+    !(clipFolder && fileName.startsWith(clipFolder)) &&
+    !(hlsFolder && fileName.startsWith(hlsFolder))
+  );
+  for (const fileName of new Set(strays)) {
+    await bucket.file(fileName).delete({ ignoreNotFound: true });
+    console.log(`🗑️ Deleted storage object: ${fileName}`);
+  }
+
+  return true;
+}
+
 /**
  * Clean up temporary files and directories
  */
 async function cleanupTempFiles(workingDir) {
   try {
     if (fs.existsSync(workingDir)) {
-      const files = await fs.promises.readdir(workingDir);
-
-      // Delete all files in the directory
-      for (const file of files) {
-        const filePath = path.join(workingDir, file);
-        await fs.promises.unlink(filePath);
-        console.log(`🗑️ Deleted temp file: ${file}`);
-      }
-
-      // Remove the directory
-      await fs.promises.rmdir(workingDir);
+      await fs.promises.rm(workingDir, { recursive: true, force: true });
       console.log(`🗑️ Deleted temp directory: ${workingDir}`);
     }
   } catch (error) {
@@ -481,5 +1033,9 @@ async function cleanupTempFiles(workingDir) {
 
 module.exports = {
   processVideoAndUpload,
+  processVideoSegmentsAndUpload,
+  deleteFromFirebaseStorage,
+  deleteClipFromFirebaseStorage,
+  getStorageFile,
   extractVideoId
 };
\ No newline at end of file
@@ -32,13 +32,24 @@ if (ffmpeg && ffmpegStatic) {
 }
 
 /**
- * Download and clip video from YouTube, then upload to Firebase Storage
+ * Vertical (1080x1920) cut of a clip, as returned by video-processor.js
+ */
+export interface VerticalCut {
+  url: string;
+  width: number;
+  height: number;
+}
+
+/**
+ * Download and clip video from YouTube, then upload to Firebase Storage.
+ * Returns the same shape as video-processor.js; this version does not render
+ * vertical cuts, so `vertical` is always null.
  */
 export async function processVideoAndUpload(
   youtubeUrl: string,
   startTime: number,
   endTime: number
-): Promise<string> {
+): Promise<{ publicUrl: string; vertical: VerticalCut | null }> {
   console.log(`🎬 Starting video processing for ${youtubeUrl} from ${startTime}s to ${endTime}s`);
   console.log('📊 Debug: Function called with times:', { startTime, endTime, duration: endTime - startTime });
 
@@ -70,7 +81,7 @@ export async function processVideoAndUpload(
     const publicUrl = await uploadToFirebaseStorage(clippedVideoPath, videoId, startTime, endTime);
 
     console.log(`✅ Video processing complete. Public URL: ${publicUrl}`);
-    return publicUrl;
+    return { publicUrl, vertical: null };
 
   } catch (error) {
     console.error('❌ Video processing error:', error);
@@ -0,0 +1,49 @@
+// Timestamped caption segments for a YouTube video, read from the caption
+// tracks listed in the video's player response
+const ytdl = require('@distube/ytdl-core');
+const { normalizeLanguage } = require('./clip-model');
+
+/**
+ * Pick the caption track to read: uploaded English captions, then
+ * auto-generated English, then whatever is listed first
+ */
+function pickCaptionTrack(tracks) {
+  const isEnglish = track => /^en(-|$)/i.test(track.languageCode || '');
+  return tracks.find(track => isEnglish(track) && track.kind !== 'asr')
+    || tracks.find(isEnglish)
+    || tracks[0]
+    || null;
+}
+
+/**
+ * Fetch a video's captions as transcript segments
+ * @param {string} videoId - YouTube video ID
+ * @returns {Promise<{segments: Array<{start: number, text: string}>, language: string}|null>}
+ *   null when the video has no caption tracks
+ */
+async function fetchCaptionSegments(videoId) {
+  const info = await ytdl.getInfo(videoId);
+  const tracks = info.player_response?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+  const track = pickCaptionTrack(tracks);
+  if (!track?.baseUrl) return null;
+
+  const response = await fetch(`${track.baseUrl}&fmt=json3`);
+  if (!response.ok) {
+    throw new Error(`Caption download failed: HTTP ${response.status}`);
+  }
+
+  const { events = [] } = await response.json();
+  const segments = events
+    .map(event => ({
+      start: Math.floor((event.tStartMs || 0) / 1000),
+      text: (event.segs || []).map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim()
+    }))
+    .filter(segment => segment.text);
+
+  if (segments.length === 0) return null;
+  return { segments, language: normalizeLanguage(track.languageCode) };
+}
+
+module.exports = {
+  fetchCaptionSegments
+};
@@ -1,12 +1,27 @@
 const express = require('express');
 const { adminDb: db } = require('../lib/firebase-admin');
+const { FieldValue } = require('firebase-admin/firestore');
 const { requireAdmin } = require('../lib/requireAdmin');
 const { parseTimeToSeconds } = require('../lib/parse');
-const { processVideoAndUpload } = require('../lib/video-processor');
+const { deleteClipFromFirebaseStorage } = require('../lib/video-processor');
+const { EXTRACTION_FIELDS, enqueueClipExtraction, requeueClipExtractions, recordQueueFailure, findFailedClips } = require('../lib/clip-jobs');
+const { invalidateClipIndexes } = require('../lib/clip-indexes');
+const { CLIP_STATUSES, getEpisodeNumber, deriveClipIndexFields } = require('../lib/clip-model');
+const { parseISODate, resetUnindexedClipsCheck } = require('../lib/clip-query');
+const { validateClipTiming } = require('../lib/clip-validator');
+const { refreshTrendingScores } = require('../lib/clip-activity');
 const OpenAI = require('openai');
+const multer = require('multer');
+const { buildColumnMapping, readSpreadsheet, rowsToClips } = require('../lib/import-sheet');
 
 const router = express.Router();
 
+// Spreadsheets are small; keep uploads in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+});
+
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
@@ -26,6 +41,45 @@ function extractVideoId(url) {
   throw new Error(`Could not extract video ID from URL: ${url}`);
 }
 
+// Clip length rules shared by create and update; returns an error message or null
+function getClipRangeError(startSec, endSec) {
+  if (endSec <= startSec) {
+    return 'End time must be greater than start time';
+  }
+
+  const duration = endSec - startSec;
+  if (duration > 1800) {
+    return 'Clip duration cannot exceed 30 minutes';
+  }
+
+  if (duration < 5) {
+    return 'Clip duration must be at least 5 seconds';
+  }
+
+  return null;
+}
+
+// Documents removed with a clip: the clip and the data derived from it
+const CLIP_DELETE_WRITES = 3;
+
+// Queue deletion of a clip and the data derived from it on a batch or transaction
+function addClipDeletes(batch, clipRef) {
+  batch.delete(clipRef);
+  batch.delete(db.collection('clipActivity').doc(clipRef.id));
+  batch.delete(db.collection('clipEmbeddings').doc(clipRef.id));
+}
+
+// Best-effort removal of a clip's extracted video and all its renditions
+// (HLS, audio, thumbnails, captions, vertical cut) from Storage
+async function deleteClipFile(clipData) {
+  try {
+    return await deleteClipFromFirebaseStorage(clipData);
+  } catch (storageError) {
+    console.warn(`⚠️ Failed to delete clip file: ${storageError.message}`);
+    return false;
+  }
+}
+
 // POST /api/admin/clips/manual - Create a single manual clip
 router.post('/manual', async (req, res) => {
   try {
@@ -93,18 +147,12 @@ router.post('/manual', async (req, res) => {
       });
     }
 
-    if (endSec <= startSec) {
-      return res.status(400).json({ error: 'End time must be greater than start time' });
+    const rangeError = getClipRangeError(startSec, endSec);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
     }
 
     const duration = endSec - startSec;
-    if (duration > 1800) {
-      return res.status(400).json({ error: 'Clip duration cannot exceed 30 minutes' });
-    }
-
-    if (duration < 5) {
-      return res.status(400).json({ error: 'Clip duration must be at least 5 seconds' });
-    }
 
     // Check category exists
     const categoryDoc = await db.collection('categories').doc(categoryId).get();
@@ -128,24 +176,6 @@ router.post('/manual', async (req, res) => {
       });
     }
 
-    // Process video extraction
-    let processedClipUrl = '';
-    let videoProcessingError = null;
-
-    try {
-      console.log(`🎬 Extracting video clip: ${title} (${startSec}s-${endSec}s)`);
-      const youtubeUrlForProcessing = videoUrl || `https://www.youtube.com/watch?v=${videoId}`;
-      processedClipUrl = await processVideoAndUpload(
-        youtubeUrlForProcessing,
-        startSec,
-        endSec
-      );
-      console.log(`✅ Video extracted successfully: ${processedClipUrl}`);
-    } catch (extractError) {
-      console.warn(`⚠️ Video extraction failed for clip: ${extractError.message}`);
-      videoProcessingError = extractError.message || 'Unknown extraction error';
-    }
-
     // Create clip document
     const clipDoc = db.collection('clips').doc();
     const clipData = {
@@ -158,29 +188,48 @@ router.post('/manual', async (req, res) => {
       duration,
       fullText: description || transcript.trim(),
       language: transcriptLang.trim() || 'English',
-      processedClipUrl: processedClipUrl,
-      videoProcessingError: videoProcessingError,
-      status: 'published',
+      ...EXTRACTION_FIELDS,
+      // Goes live once the extraction job has run
+      status: 'processing',
       savedCount: 0,
       createdAt: new Date().toISOString(),
       createdBy: admin.uid,
       source: 'manual',
       confidence: 1.0,
     };
+    Object.assign(clipData, deriveClipIndexFields(clipData));
 
     await clipDoc.set(clipData);
+    invalidateClipIndexes();
+
+    // The clip is saved either way; one whose job could not be queued is
+    // picked up by the extraction sweeper
+    let jobId = null;
+    let jobError = null;
+    try {
+      jobId = await enqueueClipExtraction({
+        youtubeUrl: videoUrl || `https://www.youtube.com/watch?v=${videoId}`,
+        clips: [{ clipId: clipDoc.id, startTimeSeconds: startSec, endTimeSeconds: endSec }]
+      });
+      console.log(`🎬 Queued extraction of clip ${clipDoc.id}: ${clipData.title} (${startSec}s-${endSec}s)`);
+    } catch (queueError) {
+      console.error(`Failed to queue extraction of clip ${clipDoc.id}:`, queueError);
+      await recordQueueFailure([clipDoc.id], queueError);
+      jobError = queueError.message || 'Failed to queue extraction';
+    }
 
     res.json({
       success: true,
       id: clipDoc.id,
+      jobId,
+      jobError,
       clip: {
         id: clipDoc.id,
         title: clipData.title,
         duration: clipData.duration,
         startTimeSeconds: clipData.startTimeSeconds,
         endTimeSeconds: clipData.endTimeSeconds,
-        processedClipUrl: clipData.processedClipUrl,
-        videoProcessingError: clipData.videoProcessingError
+        status: clipData.status
       }
     });
 
@@ -195,218 +244,1228 @@ router.post('/manual', async (req, res) => {
   }
 });
 
-// POST /api/admin/clips/import - Bulk import clips
-router.post('/import', async (req, res) => {
+// PATCH /api/admin/clips/:id - Update an existing clip
+router.patch('/:id', async (req, res) => {
   try {
     const admin = await requireAdmin(req.headers.authorization);
 
-    const { clips } = req.body;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not initialized' });
+    }
 
-    // Fetch categories
-    const categoriesSnapshot = await db.collection('categories').get();
-    const categories = categoriesSnapshot.docs.map(doc => ({
-      id: doc.id,
-      name: doc.data().name
-    }));
+    const clipRef = db.collection('clips').doc(req.params.id);
+    const clipDoc = await clipRef.get();
 
-    if (!clips || !Array.isArray(clips) || clips.length === 0) {
-      return res.status(400).json({ error: 'No clips provided' });
+    if (!clipDoc.exists) {
+      return res.status(404).json({ error: 'Clip not found' });
     }
 
-    if (clips.length > 100) {
-      return res.status(400).json({
-        error: `Too many clips. Maximum 100 clips per import. You provided ${clips.length}.`
-      });
+    const existing = clipDoc.data();
+    const {
+      title,
+      categoryId,
+      startTime,
+      endTime,
+      start,
+      end,
+      description,
+      transcript,
+      transcriptLang,
+      language,
+      episode,
+      serviceDate,
+      status,
+      titleShort,
+      summaryShort,
+      verticalFocusX
+    } = req.body;
+    const updates = {};
+
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({ error: 'title cannot be empty' });
+      }
+      if (title.trim().length > 200) {
+        return res.status(400).json({ error: 'title must be 200 characters or less' });
+      }
+      updates.title = title.trim();
     }
 
-    // Process clips that need AI for title generation
-    const processedClips = [];
-    const categoryList = categories.map(c => c.name).join(', ');
-
-    console.log(`Processing ${clips.length} clips`);
-
-    // Process in batches
-    const BATCH_SIZE = 10;
-    for (let i = 0; i < clips.length; i += BATCH_SIZE) {
-      const batch = clips.slice(i, Math.min(i + BATCH_SIZE, clips.length));
-      const batchPromises = [];
-
-      for (const clip of batch) {
-        const needsAITitle = !clip.clipTitle && clip.briefDescription;
-
-        if (needsAITitle) {
-          const aiPromise = openai.chat.completions.create({
-            model: 'gpt-4-turbo-preview',
-            messages: [
-              {
-                role: 'system',
-                content: `You are an expert AI assistant that creates compelling titles for church testimonies.
-
-                INSTRUCTIONS:
-                1. TITLE CREATION: Create a concise, meaningful title that captures the essence of the testimony
-                2. For multi-topic testimonies, use format "Main Topic | Secondary Topic" (e.g., "Cancer Healing | Job Promotion")
-                3. Keep titles descriptive but concise (4-10 words maximum)
-                4. Use active, positive language
-                5. Focus on the outcome or breakthrough mentioned
-
-                Respond with ONLY the title text (no JSON, no quotes, just the title):`
-              },
-              {
-                role: 'user',
-                content: `Generate a title for this testimony: ${clip.briefDescription}`
-              }
-            ],
-            temperature: 0.2,
-            max_tokens: 150,
-          }).then(completion => {
-            const aiResponse = completion.choices[0].message.content;
-            const generatedTitle = aiResponse?.trim() || clip.briefDescription.slice(0, 50);
-
-            return {
-              ...clip,
-              clipTitle: generatedTitle
-            };
-          }).catch(error => {
-            console.error('AI processing error:', error);
-            return { ...clip, clipTitle: clip.briefDescription.slice(0, 50) };
-          });
-
-          batchPromises.push(aiPromise);
-        } else {
-          batchPromises.push(Promise.resolve(clip));
-        }
+    if (categoryId !== undefined) {
+      if (typeof categoryId !== 'string' || !categoryId.trim()) {
+        return res.status(400).json({ error: 'categoryId cannot be empty' });
+      }
+      const categoryDoc = await db.collection('categories').doc(categoryId.trim()).get();
+      if (!categoryDoc.exists) {
+        return res.status(400).json({ error: 'Category not found' });
+      }
+      updates.categoryId = categoryId.trim();
+    }
+
+    if (status !== undefined) {
+      if (!CLIP_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${CLIP_STATUSES.join(', ')}` });
+      }
+      updates.status = status;
+    }
+
+    if (serviceDate !== undefined) {
+      if (serviceDate !== '' && !parseISODate(serviceDate)) {
+        return res.status(400).json({ error: 'serviceDate must be a YYYY-MM-DD date' });
+      }
+      updates.serviceDate = serviceDate;
+    }
+
+    const fullText = description !== undefined ? description : transcript;
+    if (fullText !== undefined) updates.fullText = String(fullText).trim();
+    const languageValue = transcriptLang !== undefined ? transcriptLang : language;
+    if (languageValue !== undefined) updates.language = String(languageValue).trim() || 'English';
+    if (episode !== undefined) updates.episode = String(episode).trim();
+    if (titleShort !== undefined) updates.titleShort = String(titleShort).trim();
+    if (summaryShort !== undefined) updates.summaryShort = String(summaryShort).trim();
+
+    // Crop position of the vertical cut (0 left, 1 right, null for centre),
+    // used from the clip's next extraction
+    if (verticalFocusX !== undefined) {
+      if (verticalFocusX !== null && (typeof verticalFocusX !== 'number' || verticalFocusX < 0 || verticalFocusX > 1)) {
+        return res.status(400).json({ error: 'verticalFocusX must be a number between 0 and 1, or null' });
+      }
+      updates.verticalFocusX = verticalFocusX;
+    }
+
+    // Re-validate the time range when either end changes
+    const startTimeValue = startTime !== undefined ? startTime : start;
+    const endTimeValue = endTime !== undefined ? endTime : end;
+    const previousStartSec = existing.startTimeSeconds ?? existing.startSec ?? 0;
+    const previousEndSec = existing.endTimeSeconds ?? existing.endSec ?? 0;
+    let startSec = previousStartSec;
+    let endSec = previousEndSec;
+
+    if (startTimeValue !== undefined) {
+      try {
+        startSec = parseTimeToSeconds(startTimeValue);
+      } catch (error) {
+        return res.status(400).json({
+          error: `Invalid start time: ${error.message}`
+        });
+      }
+    }
+
+    if (endTimeValue !== undefined) {
+      try {
+        endSec = parseTimeToSeconds(endTimeValue);
+      } catch (error) {
+        return res.status(400).json({
+          error: `Invalid end time: ${error.message}`
+        });
       }
+    }
+
+    const rangeChanged = startSec !== previousStartSec || endSec !== previousEndSec;
+
+    if (rangeChanged) {
+      const rangeError = getClipRangeError(startSec, endSec);
+      if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+      }
+
+      updates.startTimeSeconds = startSec;
+      updates.endTimeSeconds = endSec;
+      updates.duration = endSec - startSec;
+    }
 
-      const batchResults = await Promise.all(batchPromises);
-      processedClips.push(...batchResults);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+
+    // The old extraction no longer matches the clip; it plays from YouTube
+    // until the new one is ready
+    if (rangeChanged) {
+      Object.assign(updates, EXTRACTION_FIELDS);
+    }
+
+    updates.updatedAt = new Date().toISOString();
+    updates.updatedBy = admin.uid;
+    Object.assign(updates, deriveClipIndexFields({ ...existing, ...updates }));
 
-      // Delay between batches
-      if (i + BATCH_SIZE < clips.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    await clipRef.update(updates);
+    invalidateClipIndexes();
+
+    let jobId = null;
+    let jobError = null;
+    if (rangeChanged) {
+      await deleteClipFile(existing);
+
+      const videoId = existing.sourceVideoId || existing.videoId || existing.video_id;
+      try {
+        jobId = await enqueueClipExtraction({
+          youtubeUrl: `https://www.youtube.com/watch?v=${videoId}`,
+          clips: [{ clipId: clipRef.id, startTimeSeconds: startSec, endTimeSeconds: endSec }]
+        });
+        console.log(`🎬 Queued re-extraction of clip ${clipRef.id} (${startSec}s-${endSec}s)`);
+      } catch (queueError) {
+        console.error(`Failed to queue re-extraction of clip ${clipRef.id}:`, queueError);
+        await recordQueueFailure([clipRef.id], queueError);
+        jobError = queueError.message || 'Failed to queue extraction';
       }
     }
 
-    // Save clips to Firestore
+    res.json({
+      success: true,
+      id: clipRef.id,
+      reprocessed: rangeChanged,
+      jobId,
+      jobError,
+      clip: { ...existing, ...updates, id: clipRef.id }
+    });
+
+  } catch (error) {
+    console.error('Error updating clip:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// DELETE /api/admin/clips/:id - Delete a clip and its extracted video
+router.delete('/:id', async (req, res) => {
+  try {
+    await requireAdmin(req.headers.authorization);
+
+    if (!db) {
+      return res.status(500).json({ error: 'Database not initialized' });
+    }
+
+    const clipRef = db.collection('clips').doc(req.params.id);
+    const clipDoc = await clipRef.get();
+
+    if (!clipDoc.exists) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+
     const batch = db.batch();
-    const savedClips = [];
-    const errors = [];
+    addClipDeletes(batch, clipRef);
+    await batch.commit();
+    invalidateClipIndexes();
+
+    const storageDeleted = await deleteClipFile(clipDoc.data());
+
+    console.log(`🗑️ Deleted clip ${clipRef.id}`);
+
+    res.json({
+      success: true,
+      id: clipRef.id,
+      storageDeleted
+    });
+
+  } catch (error) {
+    console.error('Error deleting clip:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// Firestore allows 500 writes per batch; stay under it
+const BULK_BATCH_WRITES = 450;
+
+// Most clips a single bulk request may touch
+const BULK_MAX_CLIPS = 1000;
+
+// Fields the YouTube video ID has been stored under over time
+const VIDEO_ID_FIELDS = ['sourceVideoId', 'videoId', 'video_id'];
+
+/**
+ * Clips of one video, matched under any of VIDEO_ID_FIELDS: the query is run
+ * once per field and the matches merged by clip ID
+ * @param {object} query - Clips query to narrow (the collection or a filtered query)
+ * @param {number} [limit] - Most matches read per field
+ * @returns {Promise<object[]>} Document snapshots
+ */
+async function findClipsByVideoId(query, videoId, limit) {
+  const snapshots = await Promise.all(VIDEO_ID_FIELDS.map(field => {
+    const byField = query.where(field, '==', videoId);
+    return (limit ? byField.limit(limit) : byField).get();
+  }));
+  const docsById = new Map();
+  for (const snapshot of snapshots) {
+    for (const doc of snapshot.docs) docsById.set(doc.id, doc);
+  }
+  return [...docsById.values()];
+}
+
+const BULK_OPERATIONS = ['setCategory', 'setStatus', 'setLanguage', 'appendTag', 'delete'];
+
+/**
+ * Validate a bulk operation, returning an error message or null
+ */
+async function getBulkOperationError(operation) {
+  if (!operation || !BULK_OPERATIONS.includes(operation.type)) {
+    return `operation.type must be one of: ${BULK_OPERATIONS.join(', ')}`;
+  }
+
+  const value = typeof operation.value === 'string' ? operation.value.trim() : operation.value;
+
+  switch (operation.type) {
+    case 'setCategory': {
+      if (typeof value !== 'string' || !value) {
+        return 'operation.value must be a categoryId';
+      }
+      const categoryDoc = await db.collection('categories').doc(value).get();
+      return categoryDoc.exists ? null : 'Category not found';
+    }
+    case 'setStatus':
+      return CLIP_STATUSES.includes(value) ? null : `operation.value must be one of: ${CLIP_STATUSES.join(', ')}`;
+    case 'setLanguage':
+    case 'appendTag':
+      return typeof value === 'string' && value && value.length <= 50
+        ? null
+        : 'operation.value must be a non-empty string of 50 characters or less';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the clips a bulk filter selects: explicit IDs, or any combination of
+ * episode, categoryId and videoId (matched under any of VIDEO_ID_FIELDS)
+ * @returns {Promise<{docs: object[], missing: string[]}>}
+ */
+async function findBulkClips(filter) {
+  if (Array.isArray(filter.ids)) {
+    const ids = [...new Set(filter.ids.filter(id => typeof id === 'string' && id.trim()).map(id => id.trim()))];
+    if (ids.length === 0) {
+      return { docs: [], missing: [] };
+    }
+    const snapshots = await db.getAll(...ids.map(id => db.collection('clips').doc(id)));
+    return {
+      docs: snapshots.filter(doc => doc.exists),
+      missing: snapshots.filter(doc => !doc.exists).map(doc => doc.id)
+    };
+  }
+
+  let query = db.collection('clips');
+  if (filter.episode) {
+    query = query.where('episodeNumber', '==', getEpisodeNumber(filter.episode));
+  }
+  if (filter.categoryId) {
+    query = query.where('categoryId', '==', String(filter.categoryId).trim());
+  }
+
+  if (!filter.videoId) {
+    const snapshot = await query.limit(BULK_MAX_CLIPS + 1).get();
+    return { docs: snapshot.docs, missing: [] };
+  }
+
+  const docs = await findClipsByVideoId(query, String(filter.videoId).trim(), BULK_MAX_CLIPS + 1);
+  return { docs, missing: [] };
+}
+
+// POST /api/admin/clips/bulk - Apply one operation to every clip matching a filter
+router.post('/bulk', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req.headers.authorization);
+
+    if (!db) {
+      return res.status(500).json({ error: 'Database not initialized' });
+    }
+
+    const { filter = {}, operation } = req.body;
+
+    const hasIds = Array.isArray(filter.ids);
+    const hasFields = !!(filter.episode || filter.categoryId || filter.videoId);
+    if (hasIds === hasFields) {
+      return res.status(400).json({
+        error: 'filter must contain either ids or at least one of episode, categoryId, videoId'
+      });
+    }
+
+    if (hasIds && filter.ids.length > BULK_MAX_CLIPS) {
+      return res.status(400).json({ error: `filter.ids can list at most ${BULK_MAX_CLIPS} clips` });
+    }
+
+    if (filter.episode && !getEpisodeNumber(filter.episode)) {
+      return res.status(400).json({ error: 'Invalid episode number format' });
+    }
+
+    const operationError = await getBulkOperationError(operation);
+    if (operationError) {
+      return res.status(400).json({ error: operationError });
+    }
+
+    const { docs, missing } = await findBulkClips(filter);
+    if (docs.length + missing.length > BULK_MAX_CLIPS) {
+      return res.status(400).json({
+        error: `A bulk operation can change at most ${BULK_MAX_CLIPS} clips; narrow the filter`
+      });
+    }
+
+    const value = typeof operation.value === 'string' ? operation.value.trim() : operation.value;
+    const isDelete = operation.type === 'delete';
+    const writesPerClip = isDelete ? CLIP_DELETE_WRITES : 1;
+    const clipsPerBatch = Math.floor(BULK_BATCH_WRITES / writesPerClip);
+    const now = new Date().toISOString();
+    const results = missing.map(id => ({ id, success: false, error: 'Clip not found' }));
+
+    // Each chunk is written in a transaction that reads its clips first, so a
+    // clip deleted since the filter ran is reported on its own instead of
+    // failing the writes for the rest of its chunk
+    for (let i = 0; i < docs.length; i += clipsPerBatch) {
+      const chunk = docs.slice(i, i + clipsPerBatch);
 
-    for (const clip of processedClips) {
       try {
-        const videoId = extractVideoId(clip.youtubeLink);
-        const startTimeSeconds = parseTimeToSeconds(clip.startTime);
-        const endTimeSeconds = parseTimeToSeconds(clip.endTime);
-
-        // Find category
-        let categoryDoc = categories.find(c =>
-          c.name.toLowerCase() === clip.category?.toLowerCase()
-        );
-
-        if (!categoryDoc && clip.category) {
-          const categoryId = clip.category.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-          const catRef = await db.collection('categories').doc(categoryId).get();
-          if (catRef.exists) {
-            categoryDoc = { id: categoryId, name: catRef.data()?.name || clip.category };
-          } else {
-            categoryDoc = { id: categoryId, name: clip.category };
+        const chunkResults = await db.runTransaction(async (transaction) => {
+          const fresh = await transaction.getAll(...chunk.map(doc => doc.ref));
+          const attempt = [];
+
+          for (const doc of fresh) {
+            if (!doc.exists) {
+              attempt.push({ id: doc.id, success: false, error: 'Clip not found' });
+              continue;
+            }
+
+            if (isDelete) {
+              addClipDeletes(transaction, doc.ref);
+            } else {
+              const updates = { updatedAt: now, updatedBy: admin.uid };
+              if (operation.type === 'setCategory') updates.categoryId = value;
+              if (operation.type === 'setStatus') updates.status = value;
+              if (operation.type === 'setLanguage') updates.language = value;
+              if (operation.type === 'appendTag') updates.tags = FieldValue.arrayUnion(value);
+              transaction.update(doc.ref, updates);
+            }
+            attempt.push({ id: doc.id, success: true });
           }
-        }
 
-        if (!categoryDoc) {
-          errors.push({
-            episode: clip.episode,
-            error: `Category not found: ${clip.category}`
-          });
-          continue;
+          return attempt;
+        });
+        results.push(...chunkResults);
+      } catch (batchError) {
+        console.error(`❌ Bulk ${operation.type} batch failed:`, batchError.message);
+        for (const doc of chunk) {
+          results.push({ id: doc.id, success: false, error: batchError.message || 'Batch write failed' });
         }
+      }
+    }
 
-        // Check/create video
-        const videoRef = db.collection('videos').doc(videoId);
-        const videoDoc = await videoRef.get();
-
-        if (!videoDoc.exists) {
-          batch.set(videoRef, {
-            id: videoId,
-            title: `Episode ${clip.episode}`,
-            url: clip.youtubeLink,
-            thumbnailUrl: `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`,
-            createdAt: new Date().toISOString(),
-            uploadDate: new Date().toISOString(),
-            status: 'live'
-          });
-        }
+    const succeeded = results.filter(result => result.success);
+    if (succeeded.length > 0) {
+      invalidateClipIndexes();
+    }
 
-        // Extract video clip
-        let processedClipUrl = '';
-        let videoProcessingError = null;
-
-        try {
-          console.log(`🎬 Extracting video clip: ${clip.clipTitle || 'Untitled'} (${startTimeSeconds}s-${endTimeSeconds}s)`);
-          processedClipUrl = await processVideoAndUpload(
-            clip.youtubeLink,
-            startTimeSeconds,
-            endTimeSeconds
-          );
-          console.log(`✅ Video extracted successfully: ${processedClipUrl}`);
-        } catch (extractError) {
-          console.warn(`⚠️ Video extraction failed for clip: ${extractError.message}`);
-          videoProcessingError = extractError.message || 'Unknown extraction error';
-        }
+    // Storage cleanup happens after the documents are gone so a failed batch keeps its files
+    if (isDelete) {
+      const deletedIds = new Set(succeeded.map(result => result.id));
+      for (const doc of docs) {
+        if (deletedIds.has(doc.id)) await deleteClipFile(doc.data());
+      }
+    }
 
-        // Create clip
-        const clipRef = db.collection('clips').doc();
-        const clipData = {
-          sourceVideoId: videoId,
-          categoryId: categoryDoc.id,
-          title: clip.clipTitle || 'Untitled Testimony',
-          startTimeSeconds,
-          endTimeSeconds,
-          fullText: clip.briefDescription,
-          language: clip.language,
-          episode: clip.episode,
-          processedClipUrl: processedClipUrl,
-          videoProcessingError: videoProcessingError,
-          createdAt: new Date().toISOString(),
-          createdBy: 'csv-import'
-        };
+    console.log(`🔧 Bulk ${operation.type}: ${succeeded.length} of ${results.length} clips updated`);
+
+    res.json({
+      success: succeeded.length === results.length,
+      operation: operation.type,
+      matched: docs.length,
+      updated: succeeded.length,
+      failed: results.length - succeeded.length,
+      results
+    });
+
+  } catch (error) {
+    console.error('Bulk operation error:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Bulk operation failed' });
+  }
+});
+
+// POST /api/admin/clips/reprocess - Queue video extraction again
+// Body: { ids: [...] } for specific clips, or { allFailed: true } for every clip
+// whose last extraction failed
+router.post('/reprocess', async (req, res) => {
+  try {
+    await requireAdmin(req.headers.authorization);
+
+    if (!db) {
+      return res.status(500).json({ error: 'Database not initialized' });
+    }
+
+    const { ids, allFailed = false } = req.body;
+    const hasIds = Array.isArray(ids);
+    if (hasIds === (allFailed === true)) {
+      return res.status(400).json({ error: 'Provide either ids or allFailed: true' });
+    }
 
-        batch.set(clipRef, clipData);
-        savedClips.push({
-          ...clipData,
-          id: clipRef.id
+    if (hasIds && (ids.length === 0 || ids.length > BULK_MAX_CLIPS)) {
+      return res.status(400).json({ error: `ids must list between 1 and ${BULK_MAX_CLIPS} clips` });
+    }
+
+    let docs;
+    const results = [];
+    if (hasIds) {
+      const found = await findBulkClips({ ids });
+      docs = found.docs;
+      results.push(...found.missing.map(id => ({ id, success: false, error: 'Clip not found' })));
+    } else {
+      docs = await findFailedClips();
+    }
+
+    // One job per source video, so each episode is downloaded once
+    results.push(...await requeueClipExtractions(docs));
+
+    const queued = results.filter(result => result.success).length;
+    console.log(`🔁 Queued re-extraction of ${queued} clips`);
+
+    res.json({
+      success: true,
+      queued,
+      failed: results.length - queued,
+      results
+    });
+
+  } catch (error) {
+    console.error('Reprocess error:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Reprocess failed' });
+  }
+});
+
+/**
+ * Match an import row's category by name, then by slug ID. Unknown categories
+ * are referenced by slug (the category document is not created).
+ */
+function resolveImportCategory(categoryName, categories) {
+  if (!categoryName) return null;
+
+  const byName = categories.find(c => c.name?.toLowerCase() === categoryName.toLowerCase());
+  if (byName) return { ...byName, exists: true };
+
+  const categoryId = categoryName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const byId = categories.find(c => c.id === categoryId);
+  if (byId) return { id: categoryId, name: byId.name || categoryName, exists: true };
+
+  return { id: categoryId, name: categoryName, exists: false };
+}
+
+/**
+ * Run every import check on one spreadsheet row without writing anything:
+ * video ID, times, duration bounds, category and the clip-validator timing
+ * heuristics. Errors block the row; timing issues are reported as warnings.
+ * @param {object} clip - Row from the request body
+ * @param {number} row - 1-based position of the row in the import
+ */
+function checkImportRow(clip, row, categories) {
+  const report = {
+    row,
+    episode: clip.episode || null,
+    title: clip.clipTitle || null,
+    valid: false,
+    errors: [],
+    warnings: []
+  };
+
+  let videoId = null;
+  if (!clip.youtubeLink) {
+    report.errors.push('youtubeLink is required');
+  } else {
+    try {
+      videoId = extractVideoId(clip.youtubeLink);
+    } catch (error) {
+      report.errors.push(error.message);
+    }
+  }
+
+  let startTimeSeconds = null;
+  let endTimeSeconds = null;
+  try {
+    startTimeSeconds = parseTimeToSeconds(clip.startTime);
+  } catch (error) {
+    report.errors.push(`Invalid start time: ${error.message}`);
+  }
+  try {
+    endTimeSeconds = parseTimeToSeconds(clip.endTime);
+  } catch (error) {
+    report.errors.push(`Invalid end time: ${error.message}`);
+  }
+
+  if (startTimeSeconds !== null && endTimeSeconds !== null) {
+    const rangeError = getClipRangeError(startTimeSeconds, endTimeSeconds);
+    if (rangeError) {
+      report.errors.push(rangeError);
+    } else {
+      const timing = validateClipTiming({
+        startTimeSeconds,
+        endTimeSeconds,
+        episode: clip.episode,
+        title: clip.clipTitle
+      });
+      if (!timing.isValid) {
+        report.warnings.push(...timing.issues);
+        report.timingSeverity = timing.severity;
+      }
+    }
+  }
+
+  const category = resolveImportCategory(clip.category, categories);
+  if (!category) {
+    report.errors.push('Category is required');
+  } else if (!category.exists) {
+    report.warnings.push(`Category "${clip.category}" does not exist yet; clips will reference "${category.id}"`);
+  }
+
+  if (!clip.clipTitle && !clip.briefDescription) {
+    report.warnings.push('No title or description; the clip will be titled "Untitled Testimony"');
+  }
+
+  report.externalKey = clip.externalKey !== undefined && clip.externalKey !== null
+    ? String(clip.externalKey).trim() || null
+    : null;
+  if (report.externalKey && report.externalKey.length > 200) {
+    report.errors.push('externalKey must be 200 characters or less');
+  }
+
+  report.valid = report.errors.length === 0;
+  report.resolved = {
+    videoId,
+    startTimeSeconds,
+    endTimeSeconds,
+    duration: startTimeSeconds !== null && endTimeSeconds !== null ? endTimeSeconds - startTimeSeconds : null,
+    categoryId: category?.id || null,
+    categoryName: category?.name || null,
+    categoryExists: !!category?.exists
+  };
+
+  return report;
+}
+
+// Rows handled by one import call; uploads are split into chunks of this size
+const IMPORT_MAX_ROWS = 100;
+
+// Seconds either side of a clip's start and end that still count as the same clip
+const IMPORT_DEDUPE_TOLERANCE_SECONDS = 2;
+
+// What to do with a row that matches an existing clip
+const IMPORT_CONFLICT_MODES = ['skip', 'update', 'flag'];
+
+/**
+ * Find the clip an import row duplicates: first by the caller's externalKey,
+ * then by (videoId, start, end) within IMPORT_DEDUPE_TOLERANCE_SECONDS.
+ * Rows remembered from the same import count as well, so a repeated row is
+ * caught before anything is written; those matches carry `row` instead of `id`.
+ */
+function createImportDeduper() {
+  const clipsByVideo = new Map(); // videoId -> [{ id, row, data }]
+  const clipsByKey = new Map(); // externalKey -> { id, row, data } | null
+
+  async function getVideoClips(videoId) {
+    if (!clipsByVideo.has(videoId)) {
+      const docs = await findClipsByVideoId(db.collection('clips'), videoId);
+      clipsByVideo.set(videoId, docs.map(doc => ({ id: doc.id, data: doc.data() })));
+    }
+    return clipsByVideo.get(videoId);
+  }
+
+  async function find(report) {
+    const { externalKey } = report;
+    const { videoId, startTimeSeconds, endTimeSeconds } = report.resolved;
+
+    if (externalKey) {
+      if (!clipsByKey.has(externalKey)) {
+        const snapshot = await db.collection('clips').where('externalKey', '==', externalKey).limit(1).get();
+        const doc = snapshot.docs[0];
+        clipsByKey.set(externalKey, doc ? { id: doc.id, data: doc.data() } : null);
+      }
+      const match = clipsByKey.get(externalKey);
+      if (match) return { ...match, matchedBy: 'externalKey' };
+    }
+
+    const match = (await getVideoClips(videoId)).find(({ data }) =>
+      Math.abs((data.startTimeSeconds ?? data.startSec ?? 0) - startTimeSeconds) <= IMPORT_DEDUPE_TOLERANCE_SECONDS &&
+      Math.abs((data.endTimeSeconds ?? data.endSec ?? 0) - endTimeSeconds) <= IMPORT_DEDUPE_TOLERANCE_SECONDS
+    );
+    return match ? { ...match, matchedBy: 'timeRange' } : null;
+  }
+
+  async function remember(report) {
+    const entry = {
+      row: report.row,
+      data: {
+        startTimeSeconds: report.resolved.startTimeSeconds,
+        endTimeSeconds: report.resolved.endTimeSeconds
+      }
+    };
+    (await getVideoClips(report.resolved.videoId)).push(entry);
+    if (report.externalKey) clipsByKey.set(report.externalKey, entry);
+  }
+
+  return { find, remember };
+}
+
+// Rows without a title get one generated from their description; updates
+// keep the existing title instead
+function needsGeneratedTitle(clip, report) {
+  return !clip.clipTitle && !!clip.briefDescription && report.action !== 'update';
+}
+
+/**
+ * Build what an import row writes: the new clip document, or for updates the
+ * fields changed on the existing clip. Dry runs build it as well, so a row the
+ * write would reject is reported before anything is written.
+ * @param {object} clip - Import row (with its AI title, once generated)
+ * @param {object} report - The row's checkImportRow report with its action decided
+ * @param {object|null} existing - Data of the clip an update replaces
+ * @returns {{data: object, needsExtraction: boolean}}
+ * @throws {Error} If a field would be written as undefined
+ */
+function buildImportClipData(clip, report, existing, admin) {
+  const { videoId, startTimeSeconds, endTimeSeconds, categoryId } = report.resolved;
+  const now = new Date().toISOString();
+  let data;
+  let needsExtraction = true;
+
+  if (report.action === 'update') {
+    // Updated clips keep their extraction unless the time range moved
+    needsExtraction = !existing.processedClipUrl ||
+      existing.startTimeSeconds !== startTimeSeconds || existing.endTimeSeconds !== endTimeSeconds;
+
+    data = {
+      sourceVideoId: videoId,
+      categoryId,
+      startTimeSeconds,
+      endTimeSeconds,
+      duration: endTimeSeconds - startTimeSeconds,
+      updatedAt: now,
+      updatedBy: admin.uid
+    };
+    if (clip.clipTitle) data.title = clip.clipTitle;
+    if (clip.briefDescription !== undefined) data.fullText = clip.briefDescription;
+    if (clip.language !== undefined) data.language = clip.language;
+    if (clip.episode !== undefined) data.episode = clip.episode;
+    if (report.externalKey) data.externalKey = report.externalKey;
+    if (needsExtraction) {
+      Object.assign(data, EXTRACTION_FIELDS);
+    }
+    Object.assign(data, deriveClipIndexFields({ ...existing, ...data }));
+  } else {
+    // Flagged duplicates wait in review instead of going live once extracted
+    data = {
+      sourceVideoId: videoId,
+      categoryId,
+      title: clip.clipTitle || 'Untitled Testimony',
+      startTimeSeconds,
+      endTimeSeconds,
+      // Description, language and episode columns are optional in a sheet
+      fullText: clip.briefDescription || '',
+      language: clip.language || 'English',
+      episode: clip.episode || '',
+      ...EXTRACTION_FIELDS,
+      createdAt: now,
+      status: report.action === 'flag' ? 'reviewing' : 'processing',
+      createdBy: 'csv-import',
+      source: 'csv-import'
+    };
+    if (report.externalKey) data.externalKey = report.externalKey;
+    if (report.action === 'flag') data.possibleDuplicateOf = report.existingClipId;
+    Object.assign(data, deriveClipIndexFields(data));
+  }
+
+  // Firestore rejects undefined values
+  const undefinedField = Object.keys(data).find(field => data[field] === undefined);
+  if (undefinedField) {
+    throw new Error(`${undefinedField} has no value`);
+  }
+
+  return { data, needsExtraction };
+}
+
+/**
+ * Run the import pipeline over up to 100 rows: check every row, resolve
+ * conflicts with existing clips, generate missing titles, write the clips and
+ * queue their video extraction. With dryRun the checks, conflict plan and the
+ * data each row would write are returned without writing anything.
+ * @param {object[]} clips - Rows in the JSON import format
+ * @param {object} options
+ * @param {object} options.admin - Admin performing the import
+ * @param {number[]} [options.rowNumbers] - Row number reported for each clip (default: 1, 2, ...)
+ * @param {object} [options.deduper] - Shared between chunks of one upload
+ * @returns {Promise<object>} Import (or dry-run) report
+ */
+async function importClips(clips, { admin, dryRun = false, conflictMode = 'skip', rowNumbers = clips.map((clip, index) => index + 1), deduper = createImportDeduper() }) {
+  // Fetch categories
+  const categoriesSnapshot = await db.collection('categories').get();
+  const categories = categoriesSnapshot.docs.map(doc => ({
+    id: doc.id,
+    name: doc.data().name
+  }));
+
+  // Check every row up front so bad rows never reach the AI or the extractor
+  const reports = clips.map((clip, index) => checkImportRow(clip, rowNumbers[index], categories));
+  const clipsByRow = new Map(reports.map((report, index) => [report.row, clips[index]]));
+  let validRows = reports.filter(report => report.valid);
+
+  // Decide what each valid row will do about clips that already exist
+  const existingClips = new Map(); // row -> existing clip data (update mode)
+  const claimedClips = new Map(); // existing clip ID -> first row that matched it
+  for (const report of validRows) {
+    const match = await deduper.find(report);
+    const duplicateOfRow = match?.row || claimedClips.get(match?.id);
+
+    if (duplicateOfRow) {
+      report.action = 'skip';
+      report.duplicateOfRow = duplicateOfRow;
+      report.warnings.push(`Duplicate of row ${duplicateOfRow} in this import`);
+      continue;
+    }
+
+    report.action = match ? conflictMode : 'create';
+    if (match) {
+      report.existingClipId = match.id;
+      report.matchedBy = match.matchedBy;
+    }
+    if (report.action === 'skip') continue;
+
+    // Build the row's clip the way the write will, so the dry-run report and
+    // the import reject the same rows
+    try {
+      const clip = clipsByRow.get(report.row);
+      report.data = buildImportClipData(clip, report, match?.data || null, admin).data;
+      // Titles are generated from the description only when the rows are written
+      if (needsGeneratedTitle(clip, report)) report.data.title = null;
+    } catch (error) {
+      report.errors.push(error.message);
+      report.valid = false;
+      delete report.action;
+      continue;
+    }
+
+    if (match) {
+      existingClips.set(report.row, match.data);
+      claimedClips.set(match.id, report.row);
+    }
+    await deduper.remember(report);
+  }
+  validRows = validRows.filter(report => report.valid);
+
+  const countActions = (action) => validRows.filter(report => report.action === action).length;
+
+  if (dryRun) {
+    const newCategories = [...new Set(
+      reports.filter(report => report.resolved.categoryId && !report.resolved.categoryExists)
+        .map(report => report.resolved.categoryId)
+    )];
+
+    return {
+      success: true,
+      dryRun: true,
+      total: clips.length,
+      valid: validRows.length,
+      invalid: clips.length - validRows.length,
+      withWarnings: reports.filter(report => report.warnings.length > 0).length,
+      conflictMode,
+      plan: {
+        create: countActions('create'),
+        update: countActions('update'),
+        skip: countActions('skip'),
+        flag: countActions('flag')
+      },
+      newCategories,
+      rows: reports
+    };
+  }
+
+  const errors = reports
+    .filter(report => !report.valid)
+    .map(report => ({
+      row: report.row,
+      episode: report.episode,
+      error: report.errors.join('; '),
+      errors: report.errors
+    }));
+
+  const results = validRows
+    .filter(report => report.action === 'skip')
+    .map(report => ({
+      row: report.row,
+      action: 'skip',
+      existingClipId: report.existingClipId,
+      duplicateOfRow: report.duplicateOfRow
+    }));
+
+  // Process clips that need AI for title generation
+  const processedClips = [];
+  const validClips = validRows
+    .filter(report => report.action !== 'skip')
+    .map(report => ({ ...clipsByRow.get(report.row), _report: report }));
+
+  console.log(`Processing ${validClips.length} of ${clips.length} clips (conflictMode: ${conflictMode})`);
+
+  // Process in batches
+  const BATCH_SIZE = 10;
+  for (let i = 0; i < validClips.length; i += BATCH_SIZE) {
+    const batch = validClips.slice(i, Math.min(i + BATCH_SIZE, validClips.length));
+    const batchPromises = [];
+
+    for (const clip of batch) {
+      // Updates keep the existing title unless the row supplies one
+      const needsAITitle = needsGeneratedTitle(clip, clip._report);
+
+      if (needsAITitle) {
+        const aiPromise = openai.chat.completions.create({
+          model: 'gpt-4-turbo-preview',
+          messages: [
+            {
+              role: 'system',
+              content: `You are an expert AI assistant that creates compelling titles for church testimonies.
+
+              INSTRUCTIONS:
+              1. TITLE CREATION: Create a concise, meaningful title that captures the essence of the testimony
+              2. For multi-topic testimonies, use format "Main Topic | Secondary Topic" (e.g., "Cancer Healing | Job Promotion")
+              3. Keep titles descriptive but concise (4-10 words maximum)
+              4. Use active, positive language
+              5. Focus on the outcome or breakthrough mentioned
+
+              Respond with ONLY the title text (no JSON, no quotes, just the title):`
+            },
+            {
+              role: 'user',
+              content: `Generate a title for this testimony: ${clip.briefDescription}`
+            }
+          ],
+          temperature: 0.2,
+          max_tokens: 150,
+        }).then(completion => {
+          const aiResponse = completion.choices[0].message.content;
+          const generatedTitle = aiResponse?.trim() || clip.briefDescription.slice(0, 50);
+
+          return {
+            ...clip,
+            clipTitle: generatedTitle
+          };
+        }).catch(error => {
+          console.error('AI processing error:', error);
+          return { ...clip, clipTitle: clip.briefDescription.slice(0, 50) };
         });
 
-      } catch (error) {
-        errors.push({
-          episode: clip.episode,
-          error: error.message || 'Processing error'
+        batchPromises.push(aiPromise);
+      } else {
+        batchPromises.push(Promise.resolve(clip));
+      }
+    }
+
+    const batchResults = await Promise.all(batchPromises);
+    processedClips.push(...batchResults);
+
+    // Delay between batches
+    if (i + BATCH_SIZE < validClips.length) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  // Save clips to Firestore
+  const batch = db.batch();
+  const savedClips = [];
+  const replacedClips = [];
+  const extractions = [];
+
+  for (const { _report: report, ...clip } of processedClips) {
+    try {
+      const { videoId, startTimeSeconds, endTimeSeconds } = report.resolved;
+      const existing = existingClips.get(report.row);
+      const { data, needsExtraction } = buildImportClipData(clip, report, existing, admin);
+
+      // Check/create video
+      const videoRef = db.collection('videos').doc(videoId);
+      const videoDoc = await videoRef.get();
+
+      if (!videoDoc.exists) {
+        batch.set(videoRef, {
+          id: videoId,
+          title: clip.episode ? `Episode ${clip.episode}` : `Video ${videoId}`,
+          url: clip.youtubeLink,
+          thumbnailUrl: `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`,
+          createdAt: new Date().toISOString(),
+          uploadDate: new Date().toISOString(),
+          status: 'live'
         });
       }
+
+      const extraction = {
+        row: report.row,
+        videoId,
+        youtubeUrl: clip.youtubeLink,
+        startTimeSeconds,
+        endTimeSeconds
+      };
+
+      if (report.action === 'update') {
+        const clipRef = db.collection('clips').doc(report.existingClipId);
+        batch.update(clipRef, data);
+        if (needsExtraction) {
+          extractions.push({ ...extraction, clipId: clipRef.id });
+          replacedClips.push(existing);
+        }
+        savedClips.push({ ...existing, ...data, id: clipRef.id });
+        results.push({ row: report.row, action: 'update', id: clipRef.id, matchedBy: report.matchedBy });
+        continue;
+      }
+
+      const clipRef = db.collection('clips').doc();
+      batch.set(clipRef, data);
+      extractions.push({ ...extraction, clipId: clipRef.id });
+      savedClips.push({
+        ...data,
+        id: clipRef.id
+      });
+      results.push({
+        row: report.row,
+        action: report.action,
+        id: clipRef.id,
+        existingClipId: report.existingClipId,
+        matchedBy: report.matchedBy
+      });
+
+    } catch (error) {
+      errors.push({
+        row: report.row,
+        episode: clip.episode,
+        error: error.message || 'Processing error',
+        errors: [error.message || 'Processing error']
+      });
     }
+  }
 
-    // Commit batch
-    await batch.commit();
+  // Commit batch
+  await batch.commit();
+  invalidateClipIndexes();
+
+  // Old extractions of updated clips no longer match their time range
+  for (const existing of replacedClips) {
+    await deleteClipFile(existing);
+  }
+
+  // Extraction runs in the background, one job per episode so its video is
+  // downloaded once; each row reports its job
+  const extractionsByVideo = new Map();
+  for (const extraction of extractions) {
+    if (!extractionsByVideo.has(extraction.videoId)) extractionsByVideo.set(extraction.videoId, []);
+    extractionsByVideo.get(extraction.videoId).push(extraction);
+  }
+
+  for (const videoExtractions of extractionsByVideo.values()) {
+    const rowResults = videoExtractions.map(({ row }) => results.find(result => result.row === row));
+    try {
+      const jobId = await enqueueClipExtraction({
+        youtubeUrl: videoExtractions[0].youtubeUrl,
+        clips: videoExtractions.map(({ clipId, startTimeSeconds, endTimeSeconds }) => ({ clipId, startTimeSeconds, endTimeSeconds }))
+      });
+      rowResults.forEach(result => { result.jobId = jobId; });
+    } catch (queueError) {
+      console.error(`Failed to queue extraction for rows ${videoExtractions.map(({ row }) => row).join(', ')}:`, queueError);
+      await recordQueueFailure(videoExtractions.map(({ clipId }) => clipId), queueError);
+      rowResults.forEach(result => { result.jobError = queueError.message || 'Failed to queue extraction'; });
+    }
+  }
+
+  // Count results
+  const countResults = (action) => results.filter(result => result.action === action).length;
+
+  return {
+    success: true,
+    imported: savedClips.length,
+    created: countResults('create'),
+    updated: countResults('update'),
+    skipped: countResults('skip'),
+    flagged: countResults('flag'),
+    errors: errors.length,
+    details: {
+      savedClips: savedClips.length,
+      errors: errors.sort((a, b) => a.row - b.row),
+      results: results.sort((a, b) => a.row - b.row),
+      conflictMode,
+      total: clips.length,
+      extractionsQueued: results.filter(result => result.jobId).length,
+      extractionJobs: new Set(results.map(result => result.jobId).filter(Boolean)).size,
+      errorSample: errors.length > 0 ? errors[0] : null
+    }
+  };
+}
+
+// POST /api/admin/clips/import - Bulk import clips (?dryRun=true checks every row without writing)
+router.post('/import', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req.headers.authorization);
 
-    // Count results
-    const clipsWithVideos = savedClips.filter(c => c.processedClipUrl && c.processedClipUrl.trim() !== '').length;
-    const clipsWithoutVideos = savedClips.length - clipsWithVideos;
+    const { clips } = req.body;
+    const dryRun = req.query.dryRun === 'true';
+    const conflictMode = req.body.conflictMode || req.query.conflictMode || 'skip';
+
+    if (!IMPORT_CONFLICT_MODES.includes(conflictMode)) {
+      return res.status(400).json({
+        error: `conflictMode must be one of: ${IMPORT_CONFLICT_MODES.join(', ')}`
+      });
+    }
+
+    if (!clips || !Array.isArray(clips) || clips.length === 0) {
+      return res.status(400).json({ error: 'No clips provided' });
+    }
+
+    if (clips.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        error: `Too many clips. Maximum ${IMPORT_MAX_ROWS} clips per import. You provided ${clips.length}.`
+      });
+    }
+
+    res.json(await importClips(clips, { admin, dryRun, conflictMode }));
+
+  } catch (error) {
+    console.error('Import error:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Import failed' });
+  }
+});
+
+/**
+ * Combine the reports of an upload's chunks: counts are summed, lists are
+ * concatenated and flags must hold for every chunk
+ */
+function mergeImportReports(total, chunk) {
+  const merged = { ...total };
+  for (const [key, value] of Object.entries(chunk)) {
+    const current = total[key];
+    if (current === undefined || current === null) {
+      merged[key] = value;
+    } else if (typeof value === 'number') {
+      merged[key] = current + value;
+    } else if (typeof value === 'boolean') {
+      merged[key] = current && value;
+    } else if (Array.isArray(value)) {
+      merged[key] = [...new Set([...current, ...value])];
+    } else if (value && typeof value === 'object') {
+      merged[key] = mergeImportReports(current, value);
+    }
+  }
+  return merged;
+}
+
+// POST /api/admin/clips/import/upload - Import a CSV or XLSX file (multipart field "file")
+// Optional fields: mapping (JSON of importField -> column header), conflictMode; ?dryRun=true as for /import
+router.post('/import/upload', (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'File must be 5 MB or smaller' : error.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const admin = await requireAdmin(req.headers.authorization);
+
+    if (!db) {
+      return res.status(500).json({ error: 'Database not initialized' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded. Send the spreadsheet in the "file" field.' });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const conflictMode = req.body.conflictMode || req.query.conflictMode || 'skip';
+
+    if (!IMPORT_CONFLICT_MODES.includes(conflictMode)) {
+      return res.status(400).json({
+        error: `conflictMode must be one of: ${IMPORT_CONFLICT_MODES.join(', ')}`
+      });
+    }
+
+    let overrides = {};
+    if (req.body.mapping) {
+      try {
+        overrides = JSON.parse(req.body.mapping);
+      } catch (error) {
+        return res.status(400).json({ error: 'mapping must be a JSON object of importField -> column header' });
+      }
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return res.status(400).json({ error: 'mapping must be a JSON object of importField -> column header' });
+      }
+    }
+
+    let sheet;
+    let mapping;
+    try {
+      sheet = await readSpreadsheet(req.file.buffer, req.file.originalname);
+      mapping = buildColumnMapping(sheet.headers, overrides);
+    } catch (error) {
+      return res.status(400).json({ error: error.message || 'Could not read the spreadsheet' });
+    }
+
+    if (mapping.missing.length > 0) {
+      return res.status(400).json({
+        error: `Missing required columns: ${mapping.missing.join(', ')}. Add them to the file or pass a mapping.`,
+        headers: sheet.headers,
+        columns: mapping.columns
+      });
+    }
+
+    const { clips, lines } = rowsToClips(sheet.rows, mapping.columns, sheet.rowNumbers);
+    if (clips.length === 0) {
+      return res.status(400).json({ error: 'No clips provided' });
+    }
+
+    console.log(`📄 Importing ${clips.length} rows from ${req.file.originalname} in chunks of ${IMPORT_MAX_ROWS}`);
+
+    // One deduper for the whole file so repeated rows are caught across chunks
+    const deduper = createImportDeduper();
+    let report = {};
+    for (let i = 0; i < clips.length; i += IMPORT_MAX_ROWS) {
+      const chunkReport = await importClips(clips.slice(i, i + IMPORT_MAX_ROWS), {
+        admin,
+        dryRun,
+        conflictMode,
+        rowNumbers: lines.slice(i, i + IMPORT_MAX_ROWS),
+        deduper
+      });
+      report = mergeImportReports(report, chunkReport);
+    }
+
+    // The merge combines samples field by field; take the first error instead
+    if (report.details) {
+      report.details.errorSample = report.details.errors[0] || null;
+    }
 
     res.json({
-      success: true,
-      imported: savedClips.length,
-      errors: errors.length,
-      details: {
-        savedClips: savedClips.length,
-        errors: errors.slice(0, 5),
-        total: clips.length,
-        videosExtracted: clipsWithVideos,
-        videoExtractionFailed: clipsWithoutVideos,
-        errorSample: errors.length > 0 ? errors[0] : null
+      ...report,
+      file: {
+        name: req.file.originalname,
+        rows: clips.length,
+        chunks: Math.ceil(clips.length / IMPORT_MAX_ROWS),
+        columns: Object.fromEntries(
+          Object.entries(mapping.columns).map(([field, position]) => [field, sheet.headers[position]])
+        ),
+        unmappedColumns: mapping.unmapped
       }
     });
 
   } catch (error) {
-    console.error('Import error:', error);
+    console.error('Upload import error:', error);
 
     if (error.message?.includes('Unauthorized')) {
       return res.status(401).json({ error: 'Unauthorized access' });
@@ -416,4 +1475,99 @@ router.post('/import', async (req, res) => {
   }
 });
 
+// POST /api/admin/clips/backfill - Add derived listing fields and a normalized status to older clips
+// Run after every deploy that bumps CLIP_INDEX_VERSION; until then public
+// listings are worked out in memory (see GET /api/clips for the rollout order)
+router.post('/backfill', async (req, res) => {
+  try {
+    await requireAdmin(req.headers.authorization);
+
+    if (!db) {
+      return res.status(500).json({ error: 'Database not initialized' });
+    }
+
+    const snapshot = await db.collection('clips').get();
+    const BATCH_LIMIT = 400;
+    let batch = db.batch();
+    let pending = 0;
+    let updated = 0;
+
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
+      const derived = deriveClipIndexFields(data);
+      const changes = {};
+
+      for (const [field, value] of Object.entries(derived)) {
+        if (data[field] !== value) changes[field] = value;
+      }
+
+      if (Object.keys(changes).length === 0) continue;
+
+      batch.update(doc.ref, changes);
+      pending++;
+      updated++;
+
+      if (pending === BATCH_LIMIT) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    }
+
+    if (pending > 0) {
+      await batch.commit();
+    }
+
+    if (updated > 0) {
+      invalidateClipIndexes();
+    }
+    resetUnindexedClipsCheck();
+
+    console.log(`🔧 Backfilled derived fields on ${updated} of ${snapshot.size} clips`);
+
+    res.json({
+      success: true,
+      scanned: snapshot.size,
+      updated
+    });
+
+  } catch (error) {
+    console.error('Backfill error:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Backfill failed' });
+  }
+});
+
+// POST /api/admin/clips/trending/refresh - Recompute trending scores now instead of waiting for the timer
+router.post('/trending/refresh', async (req, res) => {
+  try {
+    await requireAdmin(req.headers.authorization);
+
+    if (!db) {
+      return res.status(500).json({ error: 'Database not initialized' });
+    }
+
+    const { scanned, updated } = await refreshTrendingScores();
+
+    res.json({
+      success: true,
+      scanned,
+      updated
+    });
+
+  } catch (error) {
+    console.error('Trending refresh error:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Trending refresh failed' });
+  }
+});
+
 module.exports = router;
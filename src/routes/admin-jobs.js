@@ -0,0 +1,146 @@
+const express = require('express');
+const { requireAdmin } = require('../lib/requireAdmin');
+const { getJobQueue } = require('../lib/job-queue');
+
+const router = express.Router();
+
+// Jobs in these states will not change again
+const FINISHED_JOB_STATUSES = ['succeeded', 'failed'];
+
+// Comment line that keeps idle proxies from closing the stream
+const EVENTS_HEARTBEAT_MS = 15 * 1000;
+
+// Jobs run by another server instance only show up through storage
+const EVENTS_POLL_MS = 3000;
+
+// GET /api/admin/jobs/:id - Status, progress and result of a background job
+router.get('/:id', async (req, res) => {
+  try {
+    await requireAdmin(req.headers.authorization);
+
+    const job = await getJobQueue().getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+
+  } catch (error) {
+    console.error('Error fetching job:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// GET /api/admin/jobs/:id/events - Server-Sent Events stream of a job's progress
+// Events: "job" (full job, on connect and when it changed elsewhere), "status"
+// (status, attempts, lastError, result), "progress" ({ stage, percent }) and a
+// final "done" once the job succeeded or failed (status null if it was
+// deleted); clients should close then.
+// EventSource cannot send headers, so the admin token may be passed as ?token=
+router.get('/:id/events', async (req, res) => {
+  let closed = false;
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  let poller = null;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearInterval(poller);
+    res.end();
+  };
+
+  // Registered before anything is awaited, so a client that leaves during
+  // the auth check or job lookup is not subscribed to afterwards
+  req.on('close', close);
+
+  try {
+    const authHeader = req.headers.authorization || (req.query.token ? `Bearer ${req.query.token}` : undefined);
+    await requireAdmin(authHeader);
+
+    const queue = getJobQueue();
+    const job = await queue.getJob(req.params.id);
+    if (closed) return;
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let lastUpdatedAt = job.updatedAt;
+
+    const send = (event, data) => {
+      if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const finishIfDone = (status) => {
+      if (FINISHED_JOB_STATUSES.includes(status)) {
+        send('done', { status });
+        close();
+      }
+    };
+
+    send('job', job);
+    finishIfDone(job.status);
+    if (closed) return;
+
+    unsubscribe = queue.subscribe(job.id, (fields) => {
+      const { progress, ...rest } = fields;
+      if (fields.updatedAt) lastUpdatedAt = fields.updatedAt;
+      if (progress !== undefined) send('progress', progress);
+      if (rest.status) send('status', rest);
+      finishIfDone(rest.status);
+    });
+
+    heartbeat = setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+    }, EVENTS_HEARTBEAT_MS);
+
+    poller = setInterval(async () => {
+      try {
+        const current = await queue.getJob(job.id);
+        if (closed) return;
+        if (!current) {
+          // Deleted while streaming; nothing more will arrive
+          send('done', { status: null });
+          close();
+          return;
+        }
+        if (!(current.updatedAt > lastUpdatedAt)) return;
+        lastUpdatedAt = current.updatedAt;
+        send('job', current);
+        finishIfDone(current.status);
+      } catch (error) {
+        console.warn(`Error polling job ${job.id}:`, error.message);
+      }
+    }, EVENTS_POLL_MS);
+
+  } catch (error) {
+    console.error('Error streaming job events:', error);
+
+    if (res.headersSent) {
+      return close();
+    }
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
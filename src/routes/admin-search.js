@@ -0,0 +1,124 @@
+const express = require('express');
+const { adminDb: db } = require('../lib/firebase-admin');
+const { requireAdmin } = require('../lib/requireAdmin');
+const {
+  getSynonymId,
+  getSynonymTable,
+  invalidateSynonymTable,
+  ensureSynonymsSeeded
+} = require('../lib/search-synonyms');
+
+const router = express.Router();
+
+// GET /api/admin/search/synonyms - List the Twi/English synonym table
+router.get('/synonyms', async (req, res) => {
+  try {
+    await requireAdmin(req.headers.authorization);
+
+    const table = await getSynonymTable();
+    const synonyms = [...table.entries].sort((a, b) => a.term.localeCompare(b.term));
+
+    res.json({ synonyms, count: synonyms.length });
+
+  } catch (error) {
+    console.error('Error listing synonyms:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/search/synonyms/:term - Create or replace the concepts for a term
+router.put('/synonyms/:term', async (req, res) => {
+  try {
+    const admin = await requireAdmin(req.headers.authorization);
+
+    if (!db) {
+      return res.status(500).json({ error: 'Database not initialized' });
+    }
+
+    const term = req.params.term?.trim();
+    const { concepts, language = 'Twi' } = req.body;
+    const synonymId = getSynonymId(term || '');
+
+    if (!term || !synonymId || term.length > 100) {
+      return res.status(400).json({ error: 'term is required and must be 100 characters or less' });
+    }
+
+    if (!Array.isArray(concepts) || concepts.length === 0) {
+      return res.status(400).json({ error: 'concepts must be a non-empty array of strings' });
+    }
+
+    const cleanedConcepts = [...new Set(
+      concepts.filter(c => typeof c === 'string').map(c => c.trim()).filter(Boolean)
+    )];
+
+    if (cleanedConcepts.length === 0 || cleanedConcepts.some(c => c.length > 100)) {
+      return res.status(400).json({ error: 'Each concept must be a non-empty string of 100 characters or less' });
+    }
+
+    await ensureSynonymsSeeded();
+
+    const entry = {
+      term,
+      language: String(language).trim() || 'Twi',
+      concepts: cleanedConcepts,
+      updatedAt: new Date().toISOString(),
+      updatedBy: admin.uid
+    };
+
+    await db.collection('searchSynonyms').doc(synonymId).set(entry);
+    invalidateSynonymTable();
+
+    res.json({ success: true, id: synonymId, synonym: entry });
+
+  } catch (error) {
+    console.error('Error saving synonym:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// DELETE /api/admin/search/synonyms/:term - Remove a term from the table
+router.delete('/synonyms/:term', async (req, res) => {
+  try {
+    await requireAdmin(req.headers.authorization);
+
+    if (!db) {
+      return res.status(500).json({ error: 'Database not initialized' });
+    }
+
+    await ensureSynonymsSeeded();
+
+    const synonymId = getSynonymId(req.params.term || '');
+    const ref = db.collection('searchSynonyms').doc(synonymId);
+    const doc = await ref.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Synonym not found' });
+    }
+
+    await ref.delete();
+    invalidateSynonymTable();
+
+    res.json({ success: true, id: synonymId });
+
+  } catch (error) {
+    console.error('Error deleting synonym:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { adminDb: db } = require('../lib/firebase-admin');
+const { requireAdmin } = require('../lib/requireAdmin');
+const { saveTranscript, getTranscript } = require('../lib/transcript-store');
+const { invalidateTranscriptIndex } = require('../lib/transcript-search');
+
+const router = express.Router();
+
+// PUT /api/admin/transcripts/:videoId - Store timestamped transcript segments for an episode
+router.put('/:videoId', async (req, res) => {
+  try {
+    await requireAdmin(req.headers.authorization);
+
+    const { videoId } = req.params;
+    const { transcript, segments, language = 'English', source = 'manual' } = req.body;
+
+    if (!db) {
+      return res.status(500).json({ error: 'Database not initialized' });
+    }
+
+    if (!/^[a-zA-Z0-9_-]{6,20}$/.test(videoId)) {
+      return res.status(400).json({ error: 'Invalid videoId' });
+    }
+
+    const input = Array.isArray(segments) ? segments : transcript;
+    if (!input || (typeof input !== 'string' && !Array.isArray(input))) {
+      return res.status(400).json({
+        error: 'Provide transcript text with [MM:SS] markers or a segments array'
+      });
+    }
+
+    if (Array.isArray(input)) {
+      const invalid = input.find(s =>
+        typeof s?.start !== 'number' || s.start < 0 || typeof s.text !== 'string' || !s.text.trim()
+      );
+      if (invalid) {
+        return res.status(400).json({ error: 'Each segment needs a non-negative start and non-empty text' });
+      }
+    }
+
+    let result;
+    try {
+      result = await saveTranscript(videoId, input, { language, source });
+    } catch (error) {
+      if (error.message?.includes('no [MM:SS]')) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    invalidateTranscriptIndex();
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    console.error('Error saving transcript:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+// GET /api/admin/transcripts/:videoId - Fetch stored transcript segments
+router.get('/:videoId', async (req, res) => {
+  try {
+    await requireAdmin(req.headers.authorization);
+
+    const transcript = await getTranscript(req.params.videoId);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+
+    res.json({ transcript });
+
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { parseMediaRange, findMediaClip } = require('../lib/clip-media');
+const { getStorageFile } = require('../lib/video-processor');
+
+const router = express.Router();
+
+// A re-extracted clip gets a new audio file under the same URL
+const AUDIO_MAX_AGE_SECONDS = 300;
+
+/**
+ * Size in bytes of a clip's audio file, from the clip or else from Storage
+ */
+async function getAudioSize(audio, file) {
+  if (audio.size) return audio.size;
+  const [metadata] = await file.getMetadata();
+  return Number(metadata.size);
+}
+
+// GET /api/audio/:videoId.mp3 - Loudness-normalized audio track of a clip
+// :videoId is a clip ID, or a YouTube video ID with ?start=&end= picking the
+// clip (409 if several still match). Supports single byte ranges so players can seek and resume.
+router.get('/:videoId.mp3', async (req, res) => {
+  try {
+    let range;
+    try {
+      range = parseMediaRange(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const clip = await findMediaClip(req.params.videoId, range);
+    if (!clip) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+
+    const audio = clip.processedClipUrl ? clip.audio : null;
+    const file = audio?.url ? getStorageFile(audio.url) : null;
+    if (!file) {
+      return res.status(404).json({
+        error: 'No audio rendition for this clip',
+        processedClipUrl: clip.processedClipUrl || null
+      });
+    }
+
+    const size = await getAudioSize(audio, file);
+    res.set({
+      'Content-Type': audio.contentType || 'audio/mpeg',
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': `public, max-age=${AUDIO_MAX_AGE_SECONDS}`
+    });
+
+    let start = 0;
+    let end = size - 1;
+    const byteRanges = req.headers.range ? req.range(size, { combine: true }) : null;
+
+    if (byteRanges === -1) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    // Malformed Range headers are ignored, as RFC 9110 allows; multiple
+    // ranges are answered with the first
+    if (Array.isArray(byteRanges) && byteRanges.type === 'bytes') {
+      ({ start, end } = byteRanges[0]);
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+
+    res.set('Content-Length', String(end - start + 1));
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = file.createReadStream({ start, end });
+    stream.on('error', (error) => {
+      console.error(`Error streaming audio for clip ${clip.id}:`, error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    if (error.message?.includes('Ambiguous clip')) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Error serving clip audio:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,164 +1,126 @@
 const express = require('express');
 const { adminDb: db } = require('../lib/firebase-admin');
-const { Timestamp } = require('firebase-admin/firestore');
+const { requireAdmin } = require('../lib/requireAdmin');
+const {
+  CLIP_STATUSES,
+  PUBLIC_CLIP_STATUS,
+  toClipDTO,
+  getEpisodeNumber,
+  isPublicClip,
+  deriveClipIndexFields
+} = require('../lib/clip-model');
+const {
+  CLIP_ORDER_FIELDS,
+  CLIP_SORTS,
+  encodeCursor,
+  decodeCursor,
+  validateClipFilters,
+  applyYearFilter,
+  validateLimit,
+  buildClipsQuery,
+  listClipsInMemory,
+  hasUnindexedClips
+} = require('../lib/clip-query');
+const { getSemanticIndex, findSimilarClips } = require('../lib/semantic-index');
+const { ACTIVITY_TYPES, recordClipActivity } = require('../lib/clip-activity');
+const { requireUser } = require('../lib/requireUser');
 
 const router = express.Router();
 
-// Types for cursor pagination
+// Number of same-category clips returned alongside a single clip
+const RELATED_CLIP_LIMIT = 6;
+
 /**
- * Parse month string (YYYY-MM) into date range
- * Returns ISO date strings for start and end of month
+ * Resolve the status a listing is restricted to. Members only see live clips;
+ * any other status, or "all", requires an admin token.
+ * @returns {Promise<string|undefined>} Status to filter on (undefined for all)
  */
-function parseMonthRange(month) {
-  // Validate format with stricter regex
-  if (!/^\d{4}-\d{2}$/.test(month)) {
-    return null;
+async function resolveStatusFilter(req) {
+  const statusParam = req.query.status?.trim();
+  if (!statusParam || statusParam === PUBLIC_CLIP_STATUS) {
+    return PUBLIC_CLIP_STATUS;
   }
 
-  const [yearStr, monthStr] = month.split("-");
-  const year = parseInt(yearStr, 10);
-  const monthNum = parseInt(monthStr, 10);
-
-  // Validate year and month values with reasonable bounds
-  if (isNaN(year) || isNaN(monthNum) || monthNum < 1 || monthNum > 12 || year < 2000 || year > 2100) {
-    return null;
+  if (statusParam !== 'all' && !CLIP_STATUSES.includes(statusParam)) {
+    throw new Error(`Invalid status: ${statusParam}. Expected one of: ${CLIP_STATUSES.join(', ')}, all`);
   }
 
-  // Create start and end dates in UTC
-  const start = new Date(Date.UTC(year, monthNum - 1, 1));
-  const end = new Date(Date.UTC(year, monthNum, 0)); // Last day of month
-
-  // Return ISO date strings (YYYY-MM-DD format for Firestore)
-  const iso = (d) => d.toISOString().slice(0, 10);
-  return { start: iso(start), end: iso(end) };
-}
-
-/**
- * Encode cursor data to base64url string for URL safety
- */
-function encodeCursor(obj) {
-  try {
-    return Buffer.from(JSON.stringify(obj)).toString("base64url");
-  } catch (error) {
-    console.error("[Clips API] Error encoding cursor:", error);
-    throw new Error("Failed to encode pagination cursor");
-  }
+  await requireAdmin(req.headers.authorization);
+  return statusParam === 'all' ? undefined : statusParam;
 }
 
 /**
- * Decode cursor string back to object
+ * Whether the request carries a valid admin token
  */
-function decodeCursor(s) {
-  if (!s) return null;
+async function isAdminRequest(req) {
+  if (!req.headers.authorization) return false;
 
   try {
-    const decoded = JSON.parse(Buffer.from(s, "base64url").toString("utf8"));
-
-    // Validate cursor structure
-    if (typeof decoded !== 'object' || decoded === null) {
-      return null;
-    }
-
-    // Validate required fields based on cursor type
-    if ('serviceDate' in decoded && 'createdAtMs' in decoded) {
-      // Recent cursor validation
-      if (typeof decoded.serviceDate !== 'string' || typeof decoded.createdAtMs !== 'number') {
-        return null;
-      }
-    } else if ('savedCount' in decoded && 'createdAtMs' in decoded) {
-      // MostSaved cursor validation
-      if (typeof decoded.savedCount !== 'number' || typeof decoded.createdAtMs !== 'number') {
-        return null;
-      }
-    } else {
-      return null;
-    }
-
-    return decoded;
+    await requireAdmin(req.headers.authorization);
+    return true;
   } catch (error) {
-    console.warn("[Clips API] Invalid cursor format:", s);
-    return null;
-  }
-}
-
-/**
- * Convert Firestore Timestamp to ISO string
- */
-function timestampToISO(timestamp) {
-  if (!timestamp || typeof timestamp.toDate !== 'function') {
-    return undefined;
+    return false;
   }
-  return timestamp.toDate().toISOString();
 }
 
 /**
  * Validate and sanitize query parameters
  */
 function validateQueryParams(query) {
-  const categoryId = query.categoryId?.trim() || undefined;
-  const monthValue = query.month?.trim() || undefined;
-  const yearValue = query.year?.trim() || undefined;
-  const episodeValue = query.episode?.trim() || undefined;
+  const { categoryId, month, year, from, to, episode } = applyYearFilter(query, validateClipFilters(query));
   const sortParam = query.sort?.trim();
-  const sort = (sortParam === "mostSaved" || sortParam === "recent") ? sortParam : "recent";
-
-  // Validate limit with bounds
-  const limitParam = query.limit?.trim();
-  const parsedLimit = limitParam ? parseInt(limitParam, 10) : 20;
-  const limit = isNaN(parsedLimit) ? 20 : Math.min(Math.max(1, parsedLimit), 50);
-
-  const cursor = decodeCursor(query.cursor?.trim());
-
-  // Combine month and year into the existing month format (YYYY-MM)
-  let month = undefined;
-  if (yearValue && monthValue) {
-    // Both year and month specified
-    month = `${yearValue}-${monthValue}`;
-  } else if (monthValue && !yearValue) {
-    // Only month specified, use current year
-    const currentYear = new Date().getFullYear();
-    month = `${currentYear}-${monthValue}`;
+  if (sortParam && !CLIP_SORTS[sortParam]) {
+    throw new Error(`Invalid sort: ${sortParam}. Expected one of: ${Object.keys(CLIP_SORTS).join(', ')}`);
   }
-  // If only year specified, we don't set month (year-only filtering not implemented yet)
+  const sort = sortParam || "recent";
 
-  // Validate month format if provided
-  if (month && !parseMonthRange(month)) {
-    throw new Error(`Invalid month format: ${month}. Expected YYYY-MM format.`);
+  const orderByParam = query.orderBy?.trim();
+  if (orderByParam && !CLIP_ORDER_FIELDS[orderByParam]) {
+    throw new Error(`Invalid orderBy: ${orderByParam}. Expected one of: ${Object.keys(CLIP_ORDER_FIELDS).join(', ')}`);
   }
+  const orderBy = orderByParam || "episode";
 
-  // Validate categoryId (basic sanitization)
-  if (categoryId && (categoryId.length > 100 || /[<>"']/.test(categoryId))) {
-    throw new Error("Invalid categoryId format");
-  }
+  // Validate limit with bounds
+  const limit = validateLimit(query);
 
-  // Validate episode number (should be numeric string)
-  let episode = undefined;
-  if (episodeValue) {
-    const episodeNum = parseInt(episodeValue, 10);
-    if (!isNaN(episodeNum) && episodeNum > 0 && episodeNum < 10000) {
-      episode = episodeValue;
-    } else {
-      throw new Error("Invalid episode number format");
-    }
-  }
+  const cursor = decodeCursor(query.cursor?.trim());
 
-  return { categoryId, month, episode, sort, limit, cursor };
+  return { categoryId, month, year, from, to, episode, sort, orderBy, limit, cursor };
 }
 
 /**
  * GET /api/clips
  *
- * Enhanced endpoint with cursor pagination and caching
+ * Enhanced endpoint with keyset cursor pagination and caching
  *
  * Query parameters:
  * - categoryId?: string - Filter by category
- * - month?: string (YYYY-MM) - Filter by service month (only for recent sort)
+ * - month?: string (YYYY-MM, or MM with year; MM alone is in the current year) - Filter by service month
+ * - year?: string (YYYY) - Filter by service year
+ * - from?, to?: string (YYYY-MM-DD) - Inclusive service date range (orders by
+ *   service date; only with sort recent/oldest)
  * - episode?: string - Filter by episode number
- * - sort?: "recent" | "mostSaved" - Sort order (default: "recent")
+ * - orderBy?: "episode" | "serviceDate" - Key that recent/oldest order by (default: "episode")
+ * - sort?: "recent" | "oldest" | "mostSaved" | "trending" - Sort order (default: "recent")
+ *   mostSaved ranks by savedCount, trending by saves and plays over the last
+ *   TRENDING_WINDOW_DAYS days
+ * - status?: string - Clip status, or "all" (default: "live"; anything else
+ *   requires an admin token)
  * - limit?: number - Result limit (default: 20, max: 50)
- * - cursor?: string - Base64-encoded pagination cursor
+ * - cursor?: string - `nextCursor` from the previous page
  *
- * Always filters by status == "live"
+ * Pages are keyed on (orderBy field, document ID), so every filter
+ * combination pages through the full result set without gaps or repeats.
+ *
+ * Listings query Firestore on the derived fields from deriveClipIndexFields.
+ * While any clip lacks the current CLIP_INDEX_VERSION of them (older imports,
+ * or right after a deploy that added a field) the listing is worked out in
+ * memory over every clip instead, so no clip drops out. To roll out a change
+ * to the derived fields:
+ * 1. Deploy the indexes in firestore.indexes.json and wait for them to build
+ * 2. Deploy the server; listings fall back to memory from here
+ * 3. Run POST /api/admin/clips/backfill; listings switch back to Firestore
+ *    queries within a minute
  */
 router.get('/', async (req, res) => {
   const startTime = Date.now();
@@ -171,150 +133,71 @@ router.get('/', async (req, res) => {
     }
 
     // Parse and validate query parameters
-    const { categoryId, month, episode, sort, limit, cursor } = validateQueryParams(req.query);
+    const { categoryId, month, year, from, to, episode, sort, orderBy, limit, cursor } = validateQueryParams(req.query);
+    const status = await resolveStatusFilter(req);
 
     // Log request for monitoring
     console.log("[Clips API] Request:", {
+      status: status || 'all',
       categoryId,
       month,
+      year,
+      from,
+      to,
       episode,
       sort,
+      orderBy,
       limit,
       hasCursor: !!cursor,
       userAgent: req.headers['user-agent']?.slice(0, 100)
     });
 
-    // Build base query (don't filter by status since CSV imports don't have it)
-    let query = db.collection("clips");
+    const clipsCollection = db.collection("clips");
+    const listing = {
+      status,
+      categoryId,
+      month,
+      year,
+      from,
+      to,
+      episode,
+      orderBy,
+      sort,
+      cursor,
+      limit
+    };
 
-    // Apply category filter if provided
-    if (categoryId) {
-      query = query.where("categoryId", "==", categoryId);
+    // Keyset query, or the in-memory equivalent while clips await the backfill
+    let rows, orderField, direction;
+    const fallback = await hasUnindexedClips(clipsCollection);
+    if (fallback) {
+      const snapshot = await (categoryId ? clipsCollection.where("categoryId", "==", categoryId) : clipsCollection).get();
+      ({ rows, orderField, direction } = listClipsInMemory(
+        snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() })),
+        listing
+      ));
+    } else {
+      let query;
+      ({ query, orderField, direction } = buildClipsQuery(clipsCollection, listing));
+      const snapshot = await query.get();
+      rows = snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
     }
-
-    // Note: We'll sort by episode number in JavaScript after fetching to avoid index requirements
-
-    // For category pages, fetch all available testimonies to sort properly
-    // For other pages, use the requested limit
-    const fetchLimit = categoryId ? 1000 : limit; // High limit for categories to get all testimonies
-    query = query.limit(fetchLimit);
-
-    // Execute query
-    const snapshot = await query.get();
     const queryTime = Date.now() - startTime;
 
-    // Transform documents to DTOs and deduplicate by ID
-    const seenIds = new Set();
-    let items = snapshot.docs
-      .map((doc, index) => {
-        const data = doc.data(); // Use any to access all fields
-
-        // Debug logging to see actual field names
-        if (index === 0) { // Log only for first item
-          console.log('[Clips API] Sample data fields:', Object.keys(data));
-          console.log('[Clips API] sourceVideoId:', data.sourceVideoId);
-          console.log('[Clips API] videoId:', data.videoId);
-          console.log('[Clips API] episode:', data.episode);
-        }
-
-        // Get the video ID from various possible field names
-        const videoId = data.sourceVideoId || data.videoId || data.video_id || '';
-
-        return {
-          id: doc.id,
-          videoId: videoId,
-          startSec: data.startTimeSeconds || data.startSec || 0,
-          endSec: data.endTimeSeconds || data.endSec || 0,
-          serviceDate: data.serviceDate || "",
-          savedCount: data.savedCount || 0,
-          titleShort: data.titleShort || data.title || "",       // fallback
-          summaryShort: data.summaryShort || "",                 // may be empty initially
-          thumbUrl: data.thumbUrl || (videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : ''),
-          episode: data.episode || "",                           // Include episode field
-
-          // Include all other fields for full compatibility
-          ...data,
-          sourceVideoId: data.sourceVideoId, // Explicitly include sourceVideoId
-          createdAt: data.createdAt ? timestampToISO(data.createdAt) : undefined,
-        };
-      })
-      .filter((item) => {
-        // Remove duplicates by ID
-        if (seenIds.has(item.id)) {
-          console.warn('[Clips API] Duplicate clip ID found:', item.id);
-          return false;
-        }
-        seenIds.add(item.id);
-        return true;
-      })
-      .filter((item) => {
-        // Apply month filter if provided
-        if (month) {
-          const monthRange = parseMonthRange(month);
-          if (monthRange && item.serviceDate) {
-            // Check if service date falls within the month range
-            return item.serviceDate >= monthRange.start && item.serviceDate <= monthRange.end;
-          }
-        }
-
-        // Apply episode filter if provided
-        if (episode) {
-          const itemEpisodeNumber = item.episode ? item.episode.match(/\d+/)?.[0] : null;
-          return itemEpisodeNumber === episode;
-        }
-
-        return true;
-      });
-
-    // Sort by episode number (extract numeric part for proper sorting)
-    items.sort((a, b) => {
-      // Extract numbers from episode strings like "EP001", "EP002", etc.
-      const getEpisodeNumber = (ep) => {
-        const match = ep.match(/\d+/);
-        return match ? parseInt(match[0], 10) : 0;
-      };
-
-      const aNum = getEpisodeNumber(a.episode || '');
-      const bNum = getEpisodeNumber(b.episode || '');
-
-      // Sort in descending order (latest episode first)
-      return bNum - aNum;
-    });
-
-    // For category pages, don't slice - return all sorted testimonies
-    // For other pages, slice to requested limit
-    if (!categoryId) {
-      items = items.slice(0, limit);
-    }
+    // One extra document was requested to detect whether another page exists
+    const pageRows = rows.slice(0, limit);
+    const items = pageRows.map(row => toClipDTO(row.id, row.data));
 
     // Generate next cursor only if we have more data available
     let nextCursor;
-
-    // For category pages with episode sorting, disable pagination for now to avoid complexity
-    // Since we're doing client-side sorting, proper cursor pagination would require
-    // fetching all data and implementing offset-based pagination
-    if (categoryId) {
-      // No cursor for category pages - load all testimonies at once
-      nextCursor = undefined;
-    } else {
-      // Keep original cursor logic for non-category pages
-      if (items.length === limit && snapshot.docs.length > 0) {
-        const lastDoc = snapshot.docs[snapshot.docs.length - 1];
-        const lastData = lastDoc.data();
-        const createdAtMs = lastData.createdAt?.toMillis?.() || Date.now();
-
-        if (sort === "mostSaved") {
-          nextCursor = encodeCursor({
-            savedCount: lastData.savedCount ?? 0,
-            createdAtMs
-          });
-        } else {
-          nextCursor = encodeCursor({
-            serviceDate: lastData.serviceDate || "",
-            createdAtMs
-          });
-        }
-      }
+    if (rows.length > limit && pageRows.length > 0) {
+      const lastRow = pageRows[pageRows.length - 1];
+      nextCursor = encodeCursor({
+        orderBy: orderField,
+        direction,
+        value: lastRow.data[orderField],
+        id: lastRow.id
+      });
     }
 
     // Log successful response
@@ -323,7 +206,9 @@ router.get('/', async (req, res) => {
       hasNextCursor: !!nextCursor,
       queryTimeMs: queryTime,
       sort,
-      categoryId
+      orderBy: orderField,
+      categoryId,
+      inMemory: fallback
     });
 
     // Create response with enhanced metadata
@@ -335,20 +220,27 @@ router.get('/', async (req, res) => {
         hasMore: !!nextCursor,
         queryTimeMs: queryTime,
         query: {
+          status: status || 'all',
           categoryId,
           month,
+          year,
+          from,
+          to,
           episode,
           sort,
+          orderBy: orderField,
           limit,
           hasCursor: !!cursor
         }
       }
     };
 
-    // Set aggressive caching headers for better performance
+    // Set aggressive caching headers for better performance (admin listings are never cached)
     res.set({
-      "Cache-Control": "public, max-age=60, stale-while-revalidate=300, s-maxage=120",
-      "ETag": `"clips-${sort}-${categoryId || 'all'}-${month || 'all'}-${episode || 'all'}-${items.length}-${queryTime}"`,
+      "Cache-Control": status === PUBLIC_CLIP_STATUS
+        ? "public, max-age=60, stale-while-revalidate=300, s-maxage=120"
+        : "private, no-store",
+      "ETag": `"clips-${status || 'all'}-${sort}-${orderField}-${categoryId || 'all'}-${month || year || 'all'}-${from || ''}_${to || ''}-${episode || 'all'}-${items.length}-${queryTime}"`,
       "Vary": "Accept-Encoding"
     });
 
@@ -374,8 +266,16 @@ router.get('/', async (req, res) => {
       message = error.message;
 
       // Map specific errors to appropriate status codes
-      if (message.includes("Invalid month format") || message.includes("Invalid categoryId")) {
+      if (message.includes("Invalid month format") || message.includes("Invalid year format") ||
+          message.includes("Invalid from date") || message.includes("Invalid to date") ||
+          message.includes("Invalid date range") ||
+          message.includes("Invalid categoryId") || message.includes("Invalid episode") ||
+          message.includes("Invalid orderBy") || message.includes("Invalid sort") ||
+          message.includes("Invalid status") || message.includes("Invalid cursor")) {
         status = 400; // Bad Request
+      } else if (message.includes("Unauthorized")) {
+        message = "Unauthorized access";
+        status = 401; // Unauthorized
       } else if (message.includes("index")) {
         message = "Database index required. Please check Firestore indexes.";
         status = 503; // Service Unavailable
@@ -398,4 +298,234 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * Previous and next visible clips from the same episode, in broadcast order
+ */
+async function getEpisodeNeighbours(clipId, data) {
+  const episodeNumber = data.episodeNumber || getEpisodeNumber(data.episode);
+  if (!episodeNumber) {
+    return { previous: null, next: null };
+  }
+
+  // Clips not yet backfilled have no episodeNumber, so until the backfill has
+  // run they are matched on their raw episode label, as the listings do
+  const clipsCollection = db.collection("clips");
+  const docs = await hasUnindexedClips(clipsCollection)
+    ? (await clipsCollection.get()).docs.filter(doc => getEpisodeNumber(doc.get("episode")) === episodeNumber)
+    : (await clipsCollection.where("episodeNumber", "==", episodeNumber).get()).docs;
+
+  // Sorted here rather than with orderBy, which would leave out clips not yet
+  // backfilled with startTimeSeconds
+  const startOf = (doc) => deriveClipIndexFields(doc.data()).startTimeSeconds;
+  const episodeDocs = docs
+    .filter(doc => doc.id === clipId || isPublicClip(doc.data()))
+    .sort((a, b) => startOf(a) - startOf(b));
+  const position = episodeDocs.findIndex(doc => doc.id === clipId);
+  if (position === -1) {
+    return { previous: null, next: null };
+  }
+
+  const previousDoc = episodeDocs[position - 1];
+  const nextDoc = episodeDocs[position + 1];
+  return {
+    previous: previousDoc ? toClipDTO(previousDoc.id, previousDoc.data()) : null,
+    next: nextDoc ? toClipDTO(nextDoc.id, nextDoc.data()) : null
+  };
+}
+
+/**
+ * Most saved visible clips from the same category, excluding the clip itself
+ */
+async function getRelatedClips(clipId, data) {
+  if (!data.categoryId) {
+    return [];
+  }
+
+  const snapshot = await db.collection("clips")
+    .where("categoryId", "==", data.categoryId)
+    .orderBy("savedCount", "desc")
+    .limit(RELATED_CLIP_LIMIT * 2 + 1)
+    .get();
+
+  return snapshot.docs
+    .filter(doc => doc.id !== clipId && isPublicClip(doc.data()))
+    .slice(0, RELATED_CLIP_LIMIT)
+    .map(doc => toClipDTO(doc.id, doc.data()));
+}
+
+/**
+ * GET /api/clips/:id
+ *
+ * A single clip, as the listing returns it, plus the clips either side of it
+ * in the same episode and related clips from the same category. Clips that
+ * are not live are 404 unless the request carries an admin token.
+ */
+router.get('/:id', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    if (!db) {
+      return res.status(500).json({
+        error: "Database not initialized"
+      });
+    }
+
+    const clipId = req.params.id;
+    const clipDoc = await db.collection("clips").doc(clipId).get();
+
+    // Admins can open clips that are not live yet (e.g. to review them)
+    const isPublic = clipDoc.exists && isPublicClip(clipDoc.data());
+    if (!clipDoc.exists || (!isPublic && !(await isAdminRequest(req)))) {
+      res.set("Cache-Control", "no-store");
+      return res.status(404).json({ error: "Clip not found" });
+    }
+
+    const data = clipDoc.data();
+    const [neighbours, related] = await Promise.all([
+      getEpisodeNeighbours(clipId, data),
+      getRelatedClips(clipId, data)
+    ]);
+
+    res.set({
+      "Cache-Control": isPublic
+        ? "public, max-age=60, stale-while-revalidate=300, s-maxage=120"
+        : "private, no-store",
+      "Vary": "Accept-Encoding"
+    });
+
+    res.json({
+      item: toClipDTO(clipId, data),
+      neighbours,
+      related,
+      meta: {
+        queryTimeMs: Date.now() - startTime
+      }
+    });
+
+  } catch (error) {
+    console.error("[Clips API] Clip detail error:", {
+      error: error instanceof Error ? error.message : String(error),
+      clipId: req.params.id
+    });
+
+    res.set("Cache-Control", "no-store");
+    res.status(500).json({
+      error: "Failed to load clip",
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/clips/:id/similar
+ *
+ * Clips whose content is semantically closest to the given clip
+ *
+ * Query parameters:
+ * - limit?: number - Result limit (default: 20, max: 50)
+ */
+router.get('/:id/similar', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    if (!db) {
+      return res.status(500).json({
+        error: "Database not initialized"
+      });
+    }
+
+    const clipId = req.params.id;
+    const limit = validateLimit(req.query);
+
+    const clipDoc = await db.collection("clips").doc(clipId).get();
+    if (!clipDoc.exists || !isPublicClip(clipDoc.data())) {
+      return res.status(404).json({ error: "Clip not found" });
+    }
+
+    const index = await getSemanticIndex();
+    const items = findSimilarClips(index, clipId)
+      .slice(0, limit)
+      .map(({ entry, score }) => ({ ...entry.dto, score }));
+
+    res.set({
+      "Cache-Control": "public, max-age=300, stale-while-revalidate=600",
+      "Vary": "Accept-Encoding"
+    });
+
+    res.json({
+      clipId,
+      items,
+      meta: {
+        count: items.length,
+        provider: index.provider.name,
+        queryTimeMs: Date.now() - startTime
+      }
+    });
+
+  } catch (error) {
+    console.error("[Clips API] Similar clips error:", {
+      error: error instanceof Error ? error.message : String(error),
+      clipId: req.params.id
+    });
+
+    res.set("Cache-Control", "no-store");
+    res.status(500).json({
+      error: "Failed to find similar clips",
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/clips/:id/activity
+ *
+ * Record that a member saved, unsaved or played a clip. Feeds the
+ * mostSaved and trending sorts. Requires the member's Firebase ID token as a
+ * Bearer token. Saves are checked against the member's userSaves, and each
+ * member counts once per save and once per play cooldown; "counted" in the
+ * response says whether this call changed anything.
+ *
+ * Body:
+ * - type: "save" | "unsave" | "play"
+ */
+router.post('/:id/activity', async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({
+        error: "Database not initialized"
+      });
+    }
+
+    const type = req.body?.type;
+    if (!ACTIVITY_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: `type must be one of: ${ACTIVITY_TYPES.join(', ')}`
+      });
+    }
+
+    const user = await requireUser(req.headers.authorization);
+    const counts = await recordClipActivity(req.params.id, type, user.uid);
+
+    res.set("Cache-Control", "no-store");
+    res.json({ clipId: req.params.id, type, ...counts });
+
+  } catch (error) {
+    console.error("[Clips API] Activity error:", {
+      error: error instanceof Error ? error.message : String(error),
+      clipId: req.params.id
+    });
+
+    res.set("Cache-Control", "no-store");
+    if (error.message?.includes('Unauthorized')) {
+      return res.status(401).json({ error: 'Unauthorized access' });
+    }
+
+    const status = error.message === "Clip not found" ? 404 : 500;
+    res.status(status).json({
+      error: status === 404 ? "Clip not found" : "Failed to record clip activity",
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
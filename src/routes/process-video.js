@@ -4,9 +4,11 @@ const { processVideoAndUpload } = require('../lib/video-processor');
 const router = express.Router();
 
 // POST /api/process-video
+// Optional: vertical (true for the 1080x1920 social cut), title (drawn on the
+// vertical cut) and focusX (its horizontal crop position, 0-1)
 router.post('/', async (req, res) => {
   try {
-    const { youtubeUrl, startTime, endTime } = req.body;
+    const { youtubeUrl, startTime, endTime, vertical = false, title, focusX } = req.body;
 
     if (!youtubeUrl || typeof startTime !== 'number' || typeof endTime !== 'number') {
       return res.status(400).json({
@@ -20,13 +22,24 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (focusX !== undefined && (typeof focusX !== 'number' || focusX < 0 || focusX > 1)) {
+      return res.status(400).json({
+        error: "focusX must be a number between 0 and 1"
+      });
+    }
+
     console.log('🎬 Processing video:', { youtubeUrl, startTime, endTime });
 
-    const publicUrl = await processVideoAndUpload(youtubeUrl, startTime, endTime);
+    const { publicUrl, vertical: verticalCut } = await processVideoAndUpload(youtubeUrl, startTime, endTime, {
+      vertical: vertical === true,
+      title: typeof title === 'string' ? title : '',
+      focusX
+    });
 
     res.json({
       success: true,
       publicUrl,
+      verticalUrl: verticalCut?.url || null,
       message: "Video processed and uploaded successfully"
     });
 
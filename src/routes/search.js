@@ -1,10 +1,367 @@
 const express = require('express');
+const { adminDb: db } = require('../lib/firebase-admin');
+const {
+  encodeCursor,
+  decodeRawCursor,
+  validateClipFilters,
+  applyYearFilter,
+  validateLimit,
+  matchesClipFilters
+} = require('../lib/clip-query');
+const { getSearchIndex, searchIndex } = require('../lib/search-index');
+const {
+  getTranscriptIndex,
+  searchTranscripts,
+  compareTranscriptHits
+} = require('../lib/transcript-search');
+const { buildSnippet, highlightText, escapeHtml } = require('../lib/search-text');
+
+const { getSemanticIndex, semanticSearch } = require('../lib/semantic-index');
+const { getSuggestIndex, suggest } = require('../lib/search-suggest');
+const { computeFacets } = require('../lib/search-facets');
+const { getSynonymTable } = require('../lib/search-synonyms');
 
 const router = express.Router();
 
-// GET /api/search (placeholder)
+const SEARCH_MODES = ['keyword', 'transcript', 'semantic'];
+
+/**
+ * Validate and sanitize search query parameters
+ */
+function validateSearchParams(query) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+  if (!q) {
+    throw new Error("Search query is required");
+  }
+
+  if (q.length > 200) {
+    throw new Error("Search query must be 200 characters or less");
+  }
+
+  const modeParam = query.mode?.trim() || 'keyword';
+  if (!SEARCH_MODES.includes(modeParam)) {
+    throw new Error(`Invalid search mode: ${modeParam}. Expected one of: ${SEARCH_MODES.join(', ')}`);
+  }
+
+  // year is a search facet, so search takes it as a filter of its own
+  const filters = applyYearFilter(query, validateClipFilters(query));
+  const limit = validateLimit(query);
+
+  // Facet filters that only search supports
+  const language = query.language?.trim() || undefined;
+  const source = query.source?.trim() || undefined;
+  if (language && (language.length > 50 || /[<>"']/.test(language))) {
+    throw new Error("Invalid language format");
+  }
+  if (source && (source.length > 50 || /[<>"']/.test(source))) {
+    throw new Error("Invalid source format");
+  }
+  Object.assign(filters, { language, source });
+
+  // Search cursors are keyset positions in the ranked list:
+  // keyword/semantic mode { score, id }, transcript mode { exact, clipId, videoId, secondsOffset, position }
+  const cursor = decodeRawCursor(query.cursor?.trim());
+  if (cursor) {
+    const isValid = modeParam === 'transcript'
+      ? typeof cursor.videoId === 'string' && typeof cursor.secondsOffset === 'number' &&
+        typeof cursor.position === 'number' && typeof cursor.exact === 'boolean'
+      : typeof cursor.score === 'number' && typeof cursor.id === 'string';
+    if (!isValid) {
+      throw new Error("Invalid search cursor");
+    }
+  }
+
+  return { q, mode: modeParam, filters, limit, cursor };
+}
+
+/**
+ * Rank clips by weighted term matches and build highlighted result items
+ */
+async function runKeywordSearch({ q, filters, limit, cursor }) {
+  const [index, synonyms] = await Promise.all([getSearchIndex(), getSynonymTable()]);
+  const allMatches = searchIndex(index, q, { synonyms });
+  const matches = allMatches.filter(({ doc }) => matchesClipFilters(doc.dto, filters));
+  const facets = computeFacets(allMatches.map(({ doc }) => doc.dto), filters, index.categoryNames);
+
+  // Skip everything up to and including the cursor position
+  const remaining = cursor
+    ? matches.filter(({ doc, score }) =>
+        score < cursor.score || (score === cursor.score && doc.id > cursor.id))
+    : matches;
+
+  const page = remaining.slice(0, limit);
+  const items = page.map(({ doc, score, terms, prefixTerms }) => {
+    const titleText = doc.dto.title || doc.dto.titleShort || '';
+    const snippet =
+      buildSnippet(doc.fields.fullText.text, terms, prefixTerms) ||
+      buildSnippet(doc.fields.summaryShort.text, terms, prefixTerms) ||
+      escapeHtml((doc.fields.summaryShort.text || doc.fields.fullText.text).slice(0, 200));
+
+    return {
+      ...doc.dto,
+      categoryName: doc.categoryName,
+      score,
+      highlights: {
+        title: highlightText(titleText, terms, prefixTerms),
+        snippet
+      }
+    };
+  });
+
+  let nextCursor;
+  if (remaining.length > limit && page.length > 0) {
+    const last = page[page.length - 1];
+    nextCursor = encodeCursor({ score: last.score, id: last.doc.id });
+  }
+
+  return { items, nextCursor, total: matches.length, facets };
+}
+
+/**
+ * Rank clips by embedding similarity so paraphrases match
+ */
+async function runSemanticSearch({ q, filters, limit, cursor }) {
+  const [index, { categoryNames }] = await Promise.all([getSemanticIndex(), getSearchIndex()]);
+  const allMatches = await semanticSearch(index, q);
+  const matches = allMatches.filter(({ entry }) => matchesClipFilters(entry.dto, filters));
+  const facets = computeFacets(allMatches.map(({ entry }) => entry.dto), filters, categoryNames);
+
+  const remaining = cursor
+    ? matches.filter(({ entry, score }) =>
+        score < cursor.score || (score === cursor.score && entry.id > cursor.id))
+    : matches;
+
+  const page = remaining.slice(0, limit);
+  const items = page.map(({ entry, score }) => ({
+    ...entry.dto,
+    score,
+    highlights: {
+      title: escapeHtml(entry.dto.title || entry.dto.titleShort || ''),
+      snippet: escapeHtml((entry.dto.summaryShort || entry.dto.fullText || '').slice(0, 200))
+    }
+  }));
+
+  let nextCursor;
+  if (remaining.length > limit && page.length > 0) {
+    const last = page[page.length - 1];
+    nextCursor = encodeCursor({ score: last.score, id: last.entry.id });
+  }
+
+  return { items, nextCursor, total: matches.length, facets };
+}
+
+/**
+ * Find the spoken moments where a phrase occurs in stored episode transcripts
+ */
+async function runTranscriptSearch({ q, filters, limit, cursor }) {
+  const index = await getTranscriptIndex();
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  // Filters describe clips, so filtered searches only return clip-linked hits
+  const matches = searchTranscripts(index, q)
+    .filter(hit => !hasFilters || (hit.clip && matchesClipFilters(hit.clip, filters)));
+
+  const remaining = cursor
+    ? matches.filter(hit => compareTranscriptHits(hit, cursor) > 0)
+    : matches;
+
+  const page = remaining.slice(0, limit);
+  const items = page.map(hit => ({
+    videoId: hit.videoId,
+    clipId: hit.clipId,
+    secondsOffset: hit.secondsOffset,
+    clipSecondsOffset: hit.clipSecondsOffset,
+    snippet: hit.snippet,
+    exactPhrase: hit.exact,
+    clip: hit.clip ? {
+      id: hit.clip.id,
+      titleShort: hit.clip.titleShort,
+      thumbUrl: hit.clip.thumbUrl,
+      categoryId: hit.clip.categoryId,
+      episode: hit.clip.episode,
+      startSec: hit.clip.startSec,
+      endSec: hit.clip.endSec
+    } : null
+  }));
+
+  let nextCursor;
+  if (remaining.length > limit && page.length > 0) {
+    const last = page[page.length - 1];
+    nextCursor = encodeCursor({
+      exact: last.exact,
+      clipId: last.clipId,
+      videoId: last.videoId,
+      secondsOffset: last.secondsOffset,
+      position: last.position
+    });
+  }
+
+  return { items, nextCursor, total: matches.length };
+}
+
+/**
+ * GET /api/search/suggest
+ *
+ * Prefix completions for search-as-you-type, drawn from clip titles,
+ * category names and multi-concept title parts. Served from memory.
+ *
+ * Query parameters:
+ * - q: string - Partial query (empty returns no suggestions)
+ * - limit?: number - Max suggestions (default: 8, max: 20)
+ */
+router.get('/suggest', async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({
+        error: "Database not initialized"
+      });
+    }
+
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length > 100) {
+      return res.status(400).json({ error: "Suggest query must be 100 characters or less" });
+    }
+
+    const parsedLimit = parseInt(req.query.limit, 10);
+    const limit = isNaN(parsedLimit) ? 8 : Math.min(Math.max(1, parsedLimit), 20);
+
+    const suggestions = q ? suggest(await getSuggestIndex(), q, limit) : [];
+
+    res.set({
+      "Cache-Control": "public, max-age=60, stale-while-revalidate=300",
+      "Vary": "Accept-Encoding"
+    });
+
+    res.json({ q, suggestions });
+
+  } catch (error) {
+    console.error("[Search API] Suggest error:", error);
+    res.set("Cache-Control", "no-store");
+    res.status(500).json({ error: "Failed to fetch suggestions" });
+  }
+});
+
+/**
+ * GET /api/search
+ *
+ * Full-text search over clip title, titleShort, summaryShort, fullText and
+ * category name, ranked by weighted term matches. Text is folded so Twi
+ * letters and tone marks don't matter ("awareɛ" = "awaree"), and keyword
+ * queries are expanded with the Twi/English synonym table.
+ *
+ * Query parameters:
+ * - q: string - Search text (required, max 200 chars)
+ * - mode?: "keyword" | "transcript" | "semantic" - What to search (default: "keyword")
+ * - categoryId?, month?, year?, from?, to?, episode? - Same filters as GET /api/clips
+ * - language?: string - "English" | "Twi" (codes like "en" are accepted)
+ * - source?: string - How the clip was added, e.g. "manual" | "csv-import"
+ * - limit?: number - Result limit (default: 20, max: 50)
+ * - cursor?: string - Pagination cursor from a previous response
+ *
+ * Keyword items are clip DTOs plus `score` and `highlights` ({ title, snippet })
+ * where matched words are wrapped in <mark> tags. Semantic items have the same
+ * shape, scored by embedding similarity instead of term matches. Transcript items are
+ * { videoId, clipId, secondsOffset, clipSecondsOffset, snippet, clip } hits
+ * pointing at the moment the phrase was spoken; clipId is null when the
+ * moment falls outside every clip of that episode.
+ *
+ * Keyword and semantic responses include `facets` with per-category,
+ * per-service-year, per-language and per-source counts. Each facet is counted
+ * with the other selected filters applied but not its own.
+ */
 router.get('/', async (req, res) => {
-  res.json({ message: "Search endpoint - to be implemented", query: req.query.q });
+  const startTime = Date.now();
+
+  try {
+    if (!db) {
+      return res.status(500).json({
+        error: "Database not initialized"
+      });
+    }
+
+    const { q, mode, filters, limit, cursor } = validateSearchParams(req.query);
+
+    console.log("[Search API] Request:", {
+      q,
+      mode,
+      ...filters,
+      limit,
+      hasCursor: !!cursor
+    });
+
+    const runners = {
+      keyword: runKeywordSearch,
+      transcript: runTranscriptSearch,
+      semantic: runSemanticSearch
+    };
+    const { items, nextCursor, total, facets } = await runners[mode]({ q, filters, limit, cursor });
+
+    const queryTime = Date.now() - startTime;
+
+    console.log("[Search API] Success:", {
+      q,
+      mode,
+      totalMatches: total,
+      itemCount: items.length,
+      hasNextCursor: !!nextCursor,
+      queryTimeMs: queryTime
+    });
+
+    res.set({
+      "Cache-Control": "public, max-age=30, stale-while-revalidate=120",
+      "Vary": "Accept-Encoding"
+    });
+
+    res.json({
+      items,
+      nextCursor,
+      facets,
+      meta: {
+        count: items.length,
+        total,
+        hasMore: !!nextCursor,
+        queryTimeMs: queryTime,
+        query: {
+          q,
+          mode,
+          ...filters,
+          limit,
+          hasCursor: !!cursor
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error("[Search API] Error:", {
+      error: error instanceof Error ? error.message : String(error),
+      params: req.query
+    });
+
+    let message = "Internal server error";
+    let status = 500;
+
+    if (error instanceof Error) {
+      message = error.message;
+
+      if (message.includes("Search query") || message.includes("Invalid")) {
+        status = 400;
+      } else if (message.includes("permission")) {
+        message = "Database permission denied";
+        status = 403;
+      } else if (message.includes("quota") || message.includes("rate")) {
+        message = "Service temporarily unavailable due to rate limits";
+        status = 429;
+      }
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.status(status).json({
+      error: message,
+      timestamp: new Date().toISOString(),
+      requestId: require('crypto').randomUUID()
+    });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
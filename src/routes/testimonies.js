@@ -1,13 +1,18 @@
 const express = require('express');
 const { adminDb: db } = require('../lib/firebase-admin');
+const { PUBLIC_CLIP_STATUS, getStoredClipStatuses } = require('../lib/clip-model');
 
 const router = express.Router();
 
 // GET /api/testimonies
 router.get('/', async (req, res) => {
   try {
-    // Basic testimonies listing
-    const snapshot = await db.collection("clips").orderBy("serviceDate", "desc").limit(50).get();
+    // Basic testimonies listing (live clips only)
+    const snapshot = await db.collection("clips")
+      .where("status", "in", getStoredClipStatuses(PUBLIC_CLIP_STATUS))
+      .orderBy("serviceDate", "desc")
+      .limit(50)
+      .get();
     const testimonies = snapshot.docs.map(doc => ({
       id: doc.id,
       ...doc.data()
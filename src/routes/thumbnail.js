@@ -0,0 +1,52 @@
+const express = require('express');
+const { parseMediaRange, findMediaClip } = require('../lib/clip-media');
+const { getClipVideoId } = require('../lib/clip-model');
+
+const router = express.Router();
+
+// A re-extracted clip gets a new thumbnail under the same URL
+const THUMBNAIL_MAX_AGE_SECONDS = 300;
+
+const YOUTUBE_VIDEO_ID = /^[a-zA-Z0-9_-]{11}$/;
+
+// GET /api/thumbnail/:videoId.jpg - Redirect to a clip's thumbnail
+// :videoId is a clip ID, or a YouTube video ID with optional ?start=&end=
+// picking the clip; ?q=low gives the smaller image. Without a server-generated
+// thumbnail this falls back to YouTube's, but a video ID that matches several
+// clips is a 409 rather than a guess.
+router.get('/:videoId.jpg', async (req, res) => {
+  try {
+    let range;
+    try {
+      range = parseMediaRange(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const low = req.query.q === 'low';
+    const clip = await findMediaClip(req.params.videoId, range);
+    const thumbUrl = clip?.processedClipUrl ? (low && clip.thumbLowUrl) || clip.thumbUrl : null;
+
+    let target = thumbUrl;
+    if (!target) {
+      const videoId = clip ? getClipVideoId(clip) : req.params.videoId;
+      if (!YOUTUBE_VIDEO_ID.test(videoId)) {
+        return res.status(404).json({ error: 'Clip not found' });
+      }
+      target = `https://i.ytimg.com/vi/${videoId}/${low ? 'mqdefault' : 'hqdefault'}.jpg`;
+    }
+
+    res.set('Cache-Control', `public, max-age=${THUMBNAIL_MAX_AGE_SECONDS}`);
+    res.redirect(302, target);
+
+  } catch (error) {
+    if (error.message?.includes('Ambiguous clip')) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Error resolving thumbnail:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const { parseMediaRange, findMediaClip } = require('../lib/clip-media');
+
+const router = express.Router();
+
+// Playlists are immutable once uploaded, but a re-extracted clip gets new ones
+const REDIRECT_MAX_AGE_SECONDS = 300;
+
+// GET /api/video-hls/:videoId - Redirect to a clip's HLS master playlist
+// :videoId is a clip ID, or a YouTube video ID with ?start=&end= picking the
+// clip (409 if several still match). ?q=low redirects to the smallest rendition instead of the full ladder.
+router.get('/:videoId', async (req, res) => {
+  try {
+    let range;
+    try {
+      range = parseMediaRange(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const clip = await findMediaClip(req.params.videoId, range);
+    if (!clip) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+
+    const hls = clip.processedClipUrl ? clip.hls : null;
+    if (!hls?.masterUrl) {
+      // The player falls back to the mp4, or YouTube if there is none
+      return res.status(404).json({
+        error: 'No HLS rendition for this clip',
+        processedClipUrl: clip.processedClipUrl || null
+      });
+    }
+
+    const target = req.query.q === 'low' && hls.renditions?.length > 0
+      ? hls.renditions[0].url
+      : hls.masterUrl;
+
+    res.set('Cache-Control', `public, max-age=${REDIRECT_MAX_AGE_SECONDS}`);
+    res.redirect(302, target);
+
+  } catch (error) {
+    if (error.message?.includes('Ambiguous clip')) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Error resolving HLS playlist:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
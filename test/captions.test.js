@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildClipCues, toWebVTT, toSRT } = require('../src/lib/captions');
+
+const CUES = [
+  { start: 0, end: 2.5, text: 'Fish & chips <b>free</b>' },
+  { start: 2.5, end: 65, text: 'Arrows --> are not timings' }
+];
+
+test('WebVTT escapes markup characters in cue text', () => {
+  assert.equal(toWebVTT(CUES), [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:02.500',
+    'Fish &amp; chips &lt;b&gt;free&lt;/b&gt;',
+    '',
+    '00:00:02.500 --> 00:01:05.000',
+    'Arrows --&gt; are not timings',
+    ''
+  ].join('\n'));
+});
+
+test('SRT keeps markup characters but breaks up timing arrows in cue text', () => {
+  assert.equal(toSRT(CUES), [
+    '1',
+    '00:00:00,000 --> 00:00:02,500',
+    'Fish & chips <b>free</b>',
+    '',
+    '2',
+    '00:00:02,500 --> 00:01:05,000',
+    'Arrows -> are not timings',
+    ''
+  ].join('\n'));
+});
+
+test('cues built from transcript text are escaped too', () => {
+  const cues = buildClipCues([
+    { start: 100, text: 'He said <thank you> & left' },
+    { start: 104, text: 'the end' }
+  ], 100, 110);
+
+  const vtt = toWebVTT(cues);
+  assert.match(vtt, /He said &lt;thank you&gt; &amp; left/);
+  assert.doesNotMatch(vtt.split('\n').slice(1).filter(line => !line.includes(' --> ')).join('\n'), /[<>]/);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+const { CLIP_INDEX_VERSION, deriveClipIndexFields } = require('../src/lib/clip-model');
+const { buildClipsQuery, listClipsInMemory, encodeCursor, decodeCursor } = require('../src/lib/clip-query');
+
+// Several clips share an episode, so pages have to break ties on the document ID
+const CLIPS = [
+  ['a', { episode: 'EP003', status: 'live', startTimeSeconds: 40 }],
+  ['b', { episode: 'EP001', status: 'live', startTimeSeconds: 10 }],
+  ['c', { episode: 'EP003', status: 'live', startTimeSeconds: 20 }],
+  ['d', { episode: 'EP002', status: 'reviewing', startTimeSeconds: 0 }],
+  ['e', { episode: 'EP002', status: 'published', startTimeSeconds: 5 }],
+  ['f', { episode: 'EP003', status: 'live', startTimeSeconds: 60 }],
+  ['g', { episode: 'EP001', status: 'live', startTimeSeconds: 30 }]
+];
+
+// Walk a listing page by page, following each page's cursor like a client would
+async function collectPages(fetchPage, limit) {
+  const ids = [];
+  let cursor = null;
+  for (let page = 0; page < 10; page++) {
+    const { rows, orderField, direction } = await fetchPage(cursor);
+    const pageRows = rows.slice(0, limit);
+    ids.push(...pageRows.map(row => row.id));
+    if (rows.length <= limit) return ids;
+
+    const lastRow = pageRows[pageRows.length - 1];
+    cursor = decodeCursor(encodeCursor({ orderBy: orderField, direction, value: lastRow.data[orderField], id: lastRow.id }));
+  }
+  throw new Error('Listing did not end');
+}
+
+test('keyset pages from Firestore visit every live clip once, newest episode first', async () => {
+  const db = createFakeFirestore();
+  for (const [id, data] of CLIPS) {
+    db.seed('clips', id, { ...data, ...deriveClipIndexFields(data) });
+  }
+
+  const ids = await collectPages(async cursor => {
+    const { query, orderField, direction } = buildClipsQuery(db.collection('clips'), { status: 'live', cursor, limit: 2 });
+    const snapshot = await query.get();
+    return { rows: snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() })), orderField, direction };
+  }, 2);
+
+  assert.deepEqual(ids, ['f', 'c', 'a', 'e', 'g', 'b']);
+});
+
+test('the in-memory listing pages the same way over clips that were never backfilled', async () => {
+  const docs = CLIPS.map(([id, data]) => ({ id, data }));
+  assert.ok(docs.every(({ data }) => data.indexVersion !== CLIP_INDEX_VERSION));
+
+  const ids = await collectPages(async cursor => listClipsInMemory(docs, { status: 'live', cursor, limit: 2 }), 2);
+
+  assert.deepEqual(ids, ['f', 'c', 'a', 'e', 'g', 'b']);
+});
+
+test('an episode listing is ordered by start time', async () => {
+  const docs = CLIPS.map(([id, data]) => ({ id, data }));
+
+  const ids = await collectPages(async cursor => listClipsInMemory(docs, { episode: '3', cursor, limit: 1 }), 1);
+
+  assert.deepEqual(ids, ['c', 'a', 'f']);
+});
+
+test('a cursor from a listing with another sort order is rejected', () => {
+  const db = createFakeFirestore();
+  const cursor = { orderBy: 'episodeNumber', direction: 'desc', value: 3, id: 'a' };
+
+  assert.throws(
+    () => buildClipsQuery(db.collection('clips'), { sort: 'oldest', cursor, limit: 2 }),
+    /Invalid cursor/
+  );
+  assert.throws(
+    () => listClipsInMemory([], { sort: 'mostSaved', cursor, limit: 2 }),
+    /Invalid cursor/
+  );
+});
+
+test('malformed cursors decode to null', () => {
+  assert.equal(decodeCursor('not-base64-json'), null);
+  assert.equal(decodeCursor(encodeCursor({ orderBy: 'episodeNumber', value: 3 })), null);
+  assert.equal(decodeCursor(encodeCursor({ orderBy: 'episodeNumber', value: { nested: true }, id: 'a' })), null);
+});
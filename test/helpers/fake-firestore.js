@@ -0,0 +1,183 @@
+// In-memory stand-in for the parts of the Firestore Admin API the routes and
+// libraries use. Writes are checked the way Firestore checks them, so an
+// undefined field fails here as it would in production.
+
+/**
+ * Throw like Firestore does when a written value contains undefined
+ * (the Admin SDK rejects it unless ignoreUndefinedProperties is set)
+ */
+function assertNoUndefined(value, path) {
+  if (value === undefined) {
+    throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${path}").`);
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => assertNoUndefined(item, `${path}.${index}`));
+  } else if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    for (const [key, item] of Object.entries(value)) {
+      assertNoUndefined(item, path ? `${path}.${key}` : key);
+    }
+  }
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+// Field paths other than strings are FieldPath.documentId(), the only one
+// the code orders on
+function fieldValue(doc, field) {
+  return typeof field === 'string' ? doc.get(field) : doc.id;
+}
+
+const OPERATORS = {
+  '==': (value, expected) => value === expected,
+  '!=': (value, expected) => value !== undefined && value !== expected,
+  '<': (value, expected) => value !== undefined && value < expected,
+  '<=': (value, expected) => value !== undefined && value <= expected,
+  '>': (value, expected) => value !== undefined && value > expected,
+  '>=': (value, expected) => value !== undefined && value >= expected,
+  'in': (value, expected) => expected.includes(value),
+  'array-contains': (value, expected) => Array.isArray(value) && value.includes(expected)
+};
+
+/**
+ * Create an empty fake database. `collections` maps collection names to
+ * Maps of document ID -> data, for seeding and inspecting documents.
+ */
+function createFakeFirestore() {
+  const collections = new Map();
+  let nextId = 1;
+
+  function getStore(name) {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  }
+
+  function snapshotOf(ref) {
+    const stored = getStore(ref.parent).get(ref.id);
+    const data = stored ? structuredClone(stored) : undefined;
+    return {
+      id: ref.id,
+      ref,
+      exists: !!stored,
+      data: () => data && structuredClone(data),
+      get: field => data?.[field]
+    };
+  }
+
+  function write(ref, data, { merge = false, mustExist = false } = {}) {
+    assertNoUndefined(data, '');
+    const store = getStore(ref.parent);
+    if (mustExist && !store.has(ref.id)) {
+      throw new Error(`5 NOT_FOUND: No document to update: ${ref.parent}/${ref.id}`);
+    }
+    store.set(ref.id, merge ? { ...store.get(ref.id), ...structuredClone(data) } : structuredClone(data));
+  }
+
+  function docRef(collectionName, id = `doc${nextId++}`) {
+    const ref = {
+      id,
+      parent: collectionName,
+      path: `${collectionName}/${id}`,
+      get: async () => snapshotOf(ref),
+      set: async (data, options = {}) => write(ref, data, options),
+      update: async (data) => write(ref, data, { merge: true, mustExist: true }),
+      delete: async () => { getStore(collectionName).delete(id); }
+    };
+    return ref;
+  }
+
+  function query(collectionName, { filters = [], orders = [], max = Infinity, after = null } = {}) {
+    const next = changes => query(collectionName, { filters, orders, max, after, ...changes });
+
+    function run() {
+      let docs = [...getStore(collectionName).keys()]
+        .map(id => snapshotOf(docRef(collectionName, id)))
+        .filter(doc => filters.every(([field, op, expected]) => OPERATORS[op](fieldValue(doc, field), expected)));
+
+      docs.sort((a, b) => {
+        for (const [field, direction] of orders) {
+          const order = compare(fieldValue(a, field), fieldValue(b, field));
+          if (order) return direction === 'desc' ? -order : order;
+        }
+        return compare(a.id, b.id);
+      });
+
+      if (after) {
+        const position = docs.findIndex(doc => {
+          const values = [...orders.map(([field]) => fieldValue(doc, field)), doc.id];
+          for (let i = 0; i < after.length; i++) {
+            const direction = orders[i]?.[1] || 'asc';
+            const order = compare(values[i], after[i]);
+            if (order) return direction === 'desc' ? order < 0 : order > 0;
+          }
+          return false;
+        });
+        docs = position === -1 ? [] : docs.slice(position);
+      }
+
+      return docs.slice(0, max);
+    }
+
+    return {
+      where: (field, op, expected) => next({ filters: [...filters, [field, op, expected]] }),
+      orderBy: (field, direction = 'asc') => next({ orders: [...orders, [field, direction]] }),
+      limit: count => next({ max: count }),
+      startAfter: (...values) => next({ after: values }),
+      count: () => ({ get: async () => ({ data: () => ({ count: run().length }) }) }),
+      get: async () => {
+        const docs = run();
+        return { docs, empty: docs.length === 0, size: docs.length, forEach: fn => docs.forEach(fn) };
+      }
+    };
+  }
+
+  function collection(name) {
+    return {
+      ...query(name),
+      doc: id => docRef(name, id)
+    };
+  }
+
+  function batch() {
+    const writes = [];
+    return {
+      set: (ref, data, options) => { assertNoUndefined(data, ''); writes.push(() => write(ref, data, options)); },
+      update: (ref, data) => { assertNoUndefined(data, ''); writes.push(() => write(ref, data, { merge: true, mustExist: true })); },
+      delete: ref => { writes.push(() => getStore(ref.parent).delete(ref.id)); },
+      commit: async () => { writes.forEach(apply => apply()); }
+    };
+  }
+
+  async function runTransaction(updateFunction) {
+    const transaction = {
+      ...batch(),
+      get: async ref => (ref.get ? ref.get() : ref),
+      getAll: async (...refs) => Promise.all(refs.map(ref => ref.get()))
+    };
+    const result = await updateFunction(transaction);
+    await transaction.commit();
+    return result;
+  }
+
+  return {
+    collections,
+    collection,
+    batch,
+    runTransaction,
+    getAll: async (...refs) => Promise.all(refs.map(ref => ref.get())),
+    seed(collectionName, id, data) {
+      getStore(collectionName).set(id, structuredClone(data));
+    },
+    read(collectionName, id) {
+      return getStore(collectionName).get(id);
+    }
+  };
+}
+
+module.exports = {
+  createFakeFirestore
+};
@@ -0,0 +1,75 @@
+// Module stubs shared by the route tests. Each test file runs in its own
+// process, so stubs only need to be planted before the module under test is
+// first required.
+const crypto = require('crypto');
+const path = require('path');
+const { createFakeFirestore } = require('./fake-firestore');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+/**
+ * Make require() of a module under src/ return `exports` instead
+ * @param {string} modulePath - Path relative to src/, e.g. "lib/clip-jobs"
+ */
+function stubModule(modulePath, exports) {
+  const filename = require.resolve(path.join(SRC_DIR, modulePath));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+  return exports;
+}
+
+/**
+ * Point lib/firebase-admin at a fresh fake database and return it
+ */
+function useFakeDb() {
+  const db = createFakeFirestore();
+  stubModule('lib/firebase-admin', { adminDb: db });
+  return db;
+}
+
+/**
+ * Drop the app's console.log / console.warn output. The test runner reads
+ * results from the child's stdout, and chatty routes can corrupt that stream.
+ */
+function silenceLogs() {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+}
+
+/**
+ * Authorization header accepted by requireAdmin
+ */
+function adminAuthHeader() {
+  const timestamp = Date.now();
+  const secret = process.env.ADMIN_TOKEN_SECRET || 'ah-admin-secret-2025';
+  const signature = crypto.createHmac('sha256', secret).update(`test.${timestamp}`).digest('hex');
+  return `Bearer test.${timestamp}.${signature}`;
+}
+
+/**
+ * Serve an express router on a free port for the duration of one test
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+function listen(router) {
+  const express = require('express');
+  const app = express();
+  app.use(express.json());
+  app.use('/', router);
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  stubModule,
+  useFakeDb,
+  silenceLogs,
+  adminAuthHeader,
+  listen
+};
@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, useFakeDb, silenceLogs, adminAuthHeader, listen } = require('./helpers/stubs');
+
+silenceLogs();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+
+const db = useFakeDb();
+const queued = [];
+stubModule('lib/clip-jobs', {
+  ...require('../src/lib/clip-jobs'),
+  enqueueClipExtraction: async payload => {
+    queued.push(payload);
+    return `job-${queued.length}`;
+  }
+});
+
+const router = require('../src/routes/admin-clips');
+
+let server;
+before(async () => {
+  db.seed('categories', 'healing', { name: 'Healing' });
+  server = await listen(router);
+});
+after(() => server.close());
+
+function upload(csv, query = '') {
+  const form = new FormData();
+  form.append('file', new Blob([csv]), 'clips.csv');
+  return fetch(`${server.url}/import/upload${query}`, {
+    method: 'POST',
+    headers: { authorization: adminAuthHeader() },
+    body: form
+  });
+}
+
+test('imports a sheet without language, episode or description columns', async () => {
+  const response = await upload([
+    'YouTube Link,Start,End,Title,Category',
+    'https://youtu.be/abc123,0:10,1:10,Healed of malaria,Healing'
+  ].join('\n'));
+  const report = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(report.created, 1);
+  assert.equal(report.errors, 0);
+
+  const [{ clipId }] = queued[0].clips;
+  const clip = db.read('clips', clipId);
+  assert.equal(clip.language, 'English');
+  assert.equal(clip.episode, '');
+  assert.equal(clip.fullText, '');
+  assert.equal(db.read('videos', 'abc123').title, 'Video abc123');
+});
+
+test('blank optional cells are defaulted the same way', async () => {
+  const response = await upload([
+    'YouTube Link,Start,End,Title,Category,Language,Episode',
+    'https://youtu.be/def456,2:00,3:00,Job restored,Healing,,'
+  ].join('\n'));
+  const report = await response.json();
+
+  assert.equal(report.created, 1);
+  const { clipId } = queued[queued.length - 1].clips[0];
+  assert.equal(db.read('clips', clipId).language, 'English');
+});
+
+test('a dry run reports the clip each row would write', async () => {
+  const csv = [
+    'YouTube Link,Start,End,Title,Category,Episode',
+    'https://youtu.be/ghi789,0:00,0:45,Visa approved,Healing,EP012'
+  ].join('\n');
+
+  const response = await upload(csv, '?dryRun=true');
+  const report = await response.json();
+
+  assert.equal(report.valid, 1);
+  assert.equal(report.plan.create, 1);
+  const [row] = report.rows;
+  assert.equal(row.data.language, 'English');
+  assert.equal(row.data.episodeNumber, 12);
+  assert.equal(db.read('videos', 'ghi789'), undefined);
+});
+
+test('rows matching a legacy clip stored under video_id are skipped as duplicates', async () => {
+  db.seed('clips', 'legacy1', { video_id: 'old999', startSec: 61, endSec: 119, title: 'Legacy' });
+
+  const response = await upload([
+    'YouTube Link,Start,End,Title,Category',
+    'https://youtu.be/old999,1:00,2:00,Same clip,Healing'
+  ].join('\n'), '?dryRun=true');
+  const report = await response.json();
+
+  assert.equal(report.plan.skip, 1);
+  assert.equal(report.rows[0].existingClipId, 'legacy1');
+  assert.equal(report.rows[0].matchedBy, 'timeRange');
+});
+
+test('a row repeated within a file is planned once, even across chunks', async () => {
+  const lines = ['YouTube Link,Start,End,Title,Category'];
+  lines.push('https://youtu.be/rep111,5:00,6:00,First copy,Healing');
+  for (let i = 0; i < 100; i++) {
+    lines.push(`https://youtu.be/fill${i},0:00,0:30,Filler ${i},Healing`);
+  }
+  // Lands in the second chunk, 1 second off the first copy
+  lines.push('https://youtu.be/rep111,5:01,6:01,Second copy,Healing');
+
+  const response = await upload(lines.join('\n'), '?dryRun=true');
+  const report = await response.json();
+
+  assert.equal(report.file.chunks, 2);
+  const repeat = report.rows[report.rows.length - 1];
+  assert.equal(repeat.action, 'skip');
+  assert.equal(repeat.duplicateOfRow, 2);
+});
+
+test('an external key matches its clip even after the time range changed', async () => {
+  db.seed('clips', 'keyed1', { sourceVideoId: 'key222', startTimeSeconds: 0, endTimeSeconds: 30, externalKey: 'sheet-7' });
+
+  const response = await upload([
+    'YouTube Link,Start,End,Title,Category,External Key',
+    'https://youtu.be/key222,0:10,0:50,Moved clip,Healing,sheet-7'
+  ].join('\n'), '?dryRun=true&conflictMode=update');
+  const report = await response.json();
+
+  assert.equal(report.plan.update, 1);
+  assert.equal(report.rows[0].existingClipId, 'keyed1');
+  assert.equal(report.rows[0].matchedBy, 'externalKey');
+});
@@ -0,0 +1,124 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore } = require('./helpers/fake-firestore');
+const { silenceLogs } = require('./helpers/stubs');
+const { createMemoryDriver, createFirestoreDriver, createJobQueue } = require('../src/lib/job-queue');
+
+silenceLogs();
+
+const DRIVERS = {
+  memory: () => createMemoryDriver(),
+  firestore: () => createFirestoreDriver(createFakeFirestore())
+};
+
+// Give pending setImmediate / promise callbacks a chance to run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+afterEach(() => mock.timers.reset());
+
+for (const [name, createDriver] of Object.entries(DRIVERS)) {
+  test(`${name}: claims the oldest ready job of a handled type`, async () => {
+    const driver = createDriver();
+    const now = Date.now();
+    // More jobs of another type than one claim query reads
+    for (let i = 0; i < 12; i++) {
+      await driver.add({ type: 'other', status: 'queued', attempts: 0, runAt: now - 100 + i });
+    }
+    const later = await driver.add({ type: 'extractClip', status: 'queued', attempts: 0, runAt: now - 10 });
+    const first = await driver.add({ type: 'extractClip', status: 'queued', attempts: 0, runAt: now - 20 });
+    await driver.add({ type: 'extractClip', status: 'queued', attempts: 0, runAt: now + 60000 });
+
+    const claimed = await driver.claimNext(['extractClip'], 'worker-1', now);
+    assert.equal(claimed.id, first);
+    assert.equal(claimed.status, 'running');
+    assert.equal(claimed.attempts, 1);
+    assert.equal(claimed.lockedBy, 'worker-1');
+
+    assert.equal((await driver.claimNext(['extractClip'], 'worker-2', now)).id, later);
+    assert.equal(await driver.claimNext(['extractClip'], 'worker-2', now), null);
+  });
+
+  test(`${name}: only the worker holding the lock records the outcome`, async () => {
+    const driver = createDriver();
+    const id = await driver.add({ type: 'extractClip', status: 'queued', attempts: 0, runAt: 0 });
+    const staleAt = Date.now() + 10 * 60 * 1000;
+    await driver.claimNext(['extractClip'], 'worker-1', Date.now());
+
+    // The job went stale and another worker picked it up
+    assert.equal(await driver.requeueStale(staleAt), 1);
+    await driver.claimNext(['extractClip'], 'worker-2', staleAt);
+
+    assert.equal(await driver.finish(id, 'worker-1', { status: 'succeeded' }), false);
+    assert.equal((await driver.get(id)).status, 'running');
+    assert.equal(await driver.finish(id, 'worker-2', { status: 'succeeded', lockedBy: null }), true);
+    assert.equal((await driver.get(id)).status, 'succeeded');
+  });
+
+  test(`${name}: a running job's lock is refreshed until it finishes`, async () => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: 1000000 });
+    const driver = createDriver();
+    const queue = createJobQueue({ driver });
+
+    let finishJob;
+    queue.register('extractClip', () => new Promise(resolve => { finishJob = resolve; }));
+    const id = await queue.enqueue('extractClip', {});
+    await settle();
+    assert.equal((await driver.get(id)).lockedAt, 1000000);
+
+    mock.timers.tick(60 * 1000);
+    await settle();
+    assert.equal((await driver.get(id)).lockedAt, 1060000);
+
+    // Still alive after what would otherwise count as stale
+    mock.timers.tick(5 * 60 * 1000);
+    await settle();
+    assert.equal(await driver.requeueStale(Date.now()), 0);
+
+    finishJob('done');
+    await settle();
+    const job = await driver.get(id);
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.result, 'done');
+    assert.equal(job.lockedBy, null);
+
+    const lockedAt = job.lockedAt;
+    mock.timers.tick(60 * 1000);
+    await settle();
+    assert.equal((await driver.get(id)).lockedAt, lockedAt);
+  });
+
+  test(`${name}: a job whose worker stopped responding is queued again`, async () => {
+    const driver = createDriver();
+    const id = await driver.add({ type: 'extractClip', status: 'queued', attempts: 0, runAt: 0 });
+    const claimedAt = Date.now();
+    await driver.claimNext(['extractClip'], 'worker-1', claimedAt);
+
+    assert.equal(await driver.requeueStale(claimedAt + 60 * 1000), 0);
+    assert.equal(await driver.requeueStale(claimedAt + 10 * 60 * 1000), 1);
+
+    const job = await driver.get(id);
+    assert.equal(job.status, 'queued');
+    assert.equal(job.lockedBy, null);
+    assert.equal((await driver.claimNext(['extractClip'], 'worker-2', claimedAt + 10 * 60 * 1000)).attempts, 2);
+  });
+}
+
+test('a failed job is retried with backoff until it runs out of attempts', async () => {
+  const driver = createMemoryDriver();
+  const queue = createJobQueue({ driver });
+  queue.register('extractClip', async () => { throw new Error('download failed'); }, { maxAttempts: 2, backoffMs: 1000 });
+
+  const id = await queue.enqueue('extractClip', {});
+  await settle();
+  let job = await driver.get(id);
+  assert.equal(job.status, 'queued');
+  assert.equal(job.lastError, 'download failed');
+  assert.ok(job.runAt > Date.now());
+
+  await driver.update(id, { runAt: 0 });
+  await queue.poll();
+  await settle();
+  job = await driver.get(id);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.attempts, 2);
+});